@@ -29,5 +29,16 @@ module.exports = {
         it: true,
       },
     },
+    {
+      // web worker fixtures use import.meta.url, which webpack needs to bundle workers
+      files: ['test-utils/fixtures/*worker.js'],
+      parserOptions: {
+        ecmaVersion: 2020,
+        sourceType: 'module',
+      },
+      env: {
+        worker: true,
+      },
+    },
   ],
 };
@@ -0,0 +1,285 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const {
+  loadManifest,
+  createCspMiddleware,
+  createKoaCspMiddleware,
+} = require('./middleware');
+
+const manifest = {
+  'index.html': {
+    routes: ['/', '/index.html'],
+    headers: {
+      'Content-Security-Policy': "script-src 'self' 'nonce-abc123'",
+    },
+    hashes: [],
+    nonces: [{ directive: 'script-src', source: "'nonce-abc123'" }],
+    noncePlaceholder: null,
+  },
+  'app/index.html': {
+    routes: ['/app/', '/app/index.html'],
+    headers: {
+      'Content-Security-Policy': "script-src 'self' 'nonce-{{CSP_NONCE}}'",
+      'Content-Security-Policy-Report-Only': "script-src 'nonce-{{CSP_NONCE}}'",
+    },
+    hashes: [],
+    nonces: [{ directive: 'script-src', source: "'nonce-{{CSP_NONCE}}'" }],
+    noncePlaceholder: '{{CSP_NONCE}}',
+  },
+  'hex/index.html': {
+    routes: ['/hex/'],
+    headers: {
+      'Content-Security-Policy': "script-src 'nonce-{{CSP_NONCE}}'",
+    },
+    hashes: [],
+    nonces: [{ directive: 'script-src', source: "'nonce-{{CSP_NONCE}}'" }],
+    noncePlaceholder: '{{CSP_NONCE}}',
+    options: {
+      nonceByteLength: 32,
+      nonceEncoding: 'hex',
+    },
+  },
+};
+
+/**
+ * Makes a request to the local server
+ * @param {object} server - the http server, which must be listening
+ * @param {string} requestPath - the path to request
+ * @param {string} method - the http method to use
+ * @return {Promise<{statusCode: number, headers: object, body: string}>}
+ */
+const request = (server, requestPath, method = 'GET') =>
+  new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        host: '127.0.0.1',
+        port: server.address().port,
+        path: requestPath,
+        method,
+      },
+      (res) => {
+        let body = '';
+        res.on('data', (chunk) => {
+          body += chunk;
+        });
+        res.on('end', () =>
+          resolve({ statusCode: res.statusCode, headers: res.headers, body })
+        );
+      }
+    );
+    req.on('error', reject);
+    req.end();
+  });
+
+describe('middleware', () => {
+  let outputPath;
+  let manifestPath;
+  let server;
+
+  beforeAll(() => {
+    outputPath = fs.mkdtempSync(path.join(os.tmpdir(), 'csp-middleware-'));
+    manifestPath = path.join(outputPath, 'csp-manifest.json');
+    fs.mkdirSync(path.join(outputPath, 'app'));
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+    fs.writeFileSync(
+      path.join(outputPath, 'app', 'index.html'),
+      '<script nonce="{{CSP_NONCE}}" src="app.js"></script>'
+    );
+  });
+
+  afterAll(() => {
+    fs.unlinkSync(manifestPath);
+    fs.unlinkSync(path.join(outputPath, 'app', 'index.html'));
+    fs.rmdirSync(path.join(outputPath, 'app'));
+    fs.rmdirSync(outputPath);
+  });
+
+  afterEach((done) => {
+    if (server) {
+      server.close(done);
+      server = null;
+    } else {
+      done();
+    }
+  });
+
+  /**
+   * Starts a local http server using the csp middleware, falling back to a handler which echoes the nonce
+   * @param {object} opts - options for createCspMiddleware
+   * @return {Promise}
+   */
+  const listen = (opts) => {
+    const middleware = createCspMiddleware(opts);
+    server = http.createServer((req, res) => {
+      middleware(req, res, () => {
+        res.end(`next: ${res.locals ? res.locals.cspNonce : 'no route'}`);
+      });
+    });
+    return new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  };
+
+  describe('loadManifest', () => {
+    it('reads the manifest from a file path', () => {
+      expect(loadManifest(manifestPath)).toEqual(manifest);
+    });
+
+    it('returns an already parsed manifest', () => {
+      expect(loadManifest(manifest)).toBe(manifest);
+    });
+  });
+
+  describe('createCspMiddleware', () => {
+    it('throws an error if no manifest is passed in', () => {
+      expect(() => createCspMiddleware()).toThrow(
+        new Error('CSP: a manifest is required to serve CSP headers')
+      );
+    });
+
+    it('sets the headers for each route of an html file, and passes on to the next handler', async () => {
+      await listen({ manifest: manifestPath });
+
+      const responses = await Promise.all([
+        request(server, '/'),
+        request(server, '/index.html?query=string'),
+      ]);
+      responses.forEach((response) => {
+        expect(response.headers['content-security-policy']).toEqual(
+          "script-src 'self' 'nonce-abc123'"
+        );
+        expect(response.body).toEqual('next: null');
+      });
+    });
+
+    it("doesn't set headers for requests which aren't in the manifest", async () => {
+      await listen({ manifest: manifestPath });
+
+      const response = await request(server, '/index.bundle.js');
+      expect(response.headers['content-security-policy']).toBeUndefined();
+      expect(response.body).toEqual('next: no route');
+    });
+
+    it('passes requests with a malformed path on to the next handler', async () => {
+      await listen({ manifest: manifestPath });
+
+      const response = await request(server, '/%E0%A4%A');
+      expect(response.statusCode).toEqual(200);
+      expect(response.headers['content-security-policy']).toBeUndefined();
+      expect(response.body).toEqual('next: no route');
+    });
+
+    it('serves html containing a nonce placeholder with the same fresh nonce as the headers', async () => {
+      await listen({ manifest: manifestPath });
+
+      const first = await request(server, '/app/');
+      const [, nonce] = first.body.match(/nonce="([^"]+)"/);
+
+      expect(nonce).not.toEqual('{{CSP_NONCE}}');
+      expect(first.statusCode).toEqual(200);
+      expect(first.headers['content-type']).toEqual('text/html; charset=utf-8');
+      expect(first.headers['cache-control']).toEqual('no-store');
+      expect(first.headers['content-security-policy']).toEqual(
+        `script-src 'self' 'nonce-${nonce}'`
+      );
+      expect(first.headers['content-security-policy-report-only']).toEqual(
+        `script-src 'nonce-${nonce}'`
+      );
+
+      // every request gets a new nonce
+      const second = await request(server, '/app/index.html');
+      expect(second.body).not.toEqual(first.body);
+    });
+
+    it("doesn't send the html body for HEAD requests", async () => {
+      await listen({ manifest: manifestPath });
+
+      const response = await request(server, '/app/', 'HEAD');
+      expect(response.headers['content-security-policy']).toMatch(
+        /^script-src 'self' 'nonce-[^{]+'$/
+      );
+      expect(response.body).toEqual('');
+    });
+
+    it('creates nonces with the byte length and encoding the plugin was configured with', async () => {
+      await listen({ manifest });
+
+      const response = await request(server, '/hex/');
+      expect(response.body).toMatch(/^next: [0-9a-f]{64}$/);
+    });
+
+    it('passes the nonce on to the next handler if it has no output path to read the html from', async () => {
+      await listen({ manifest });
+
+      const response = await request(server, '/app/');
+      const nonce = response.body.replace('next: ', '');
+      expect(response.headers['content-security-policy']).toEqual(
+        `script-src 'self' 'nonce-${nonce}'`
+      );
+    });
+  });
+
+  describe('createKoaCspMiddleware', () => {
+    /**
+     * Creates a minimal Koa context for a request
+     * @param {string} url
+     * @return {object}
+     */
+    const createCtx = (url) => ({
+      method: 'GET',
+      url,
+      state: {},
+      headers: {},
+      set(name, value) {
+        if (typeof name === 'object') {
+          Object.assign(this.headers, name);
+        } else {
+          this.headers[name] = value;
+        }
+      },
+    });
+
+    it('sets the headers, and passes on to the next middleware with the nonce in ctx.state', async () => {
+      const middleware = createKoaCspMiddleware({ manifest });
+      const ctx = createCtx('/app/');
+      const next = jest.fn();
+
+      await middleware(ctx, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(ctx.headers['Content-Security-Policy']).toEqual(
+        `script-src 'self' 'nonce-${ctx.state.cspNonce}'`
+      );
+    });
+
+    it('serves html containing a nonce placeholder', async () => {
+      const middleware = createKoaCspMiddleware({
+        manifest,
+        outputPath,
+      });
+      const ctx = createCtx('/app/index.html');
+      const next = jest.fn();
+
+      await middleware(ctx, next);
+
+      const [, nonce] = ctx.body.match(/nonce="([^"]+)"/);
+      expect(next).not.toHaveBeenCalled();
+      expect(ctx.status).toEqual(200);
+      expect(ctx.type).toEqual('html');
+      expect(ctx.headers['Content-Security-Policy']).toEqual(
+        `script-src 'self' 'nonce-${nonce}'`
+      );
+    });
+
+    it("passes on to the next middleware for requests which aren't in the manifest", async () => {
+      const middleware = createKoaCspMiddleware({ manifest });
+      const ctx = createCtx('/about.html');
+      const next = jest.fn();
+
+      await middleware(ctx, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(ctx.headers).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
+const { applyNonce, createNonce } = require('./runtime');
+
+/**
+ * Loads the manifest generated by the plugin's manifest option
+ * @param {string|object} manifest - the path to the manifest file, or the already parsed manifest
+ * @return {object}
+ */
+const loadManifest = (manifest) =>
+  typeof manifest === 'string'
+    ? JSON.parse(fs.readFileSync(manifest, 'utf8'))
+    : manifest;
+
+/**
+ * Creates a function which resolves a request onto the headers (and html) it should be served with
+ * @param {object} opts
+ * @param {string|object} opts.manifest - the path to the manifest file, or the already parsed manifest
+ * @param {string} opts.outputPath - the directory the html files were built into.
+ *   Only needed to serve html files which contain a nonce placeholder; defaults to the directory of the manifest file
+ * @return {function(string, string): (object|null)}
+ */
+const createResolver = ({ manifest, outputPath } = {}) => {
+  if (!manifest) {
+    throw new Error('CSP: a manifest is required to serve CSP headers');
+  }
+
+  const entries = loadManifest(manifest);
+  const htmlDir =
+    outputPath || (typeof manifest === 'string' ? path.dirname(manifest) : '');
+
+  // map every route onto the html file it serves
+  const routes = Object.keys(entries).reduce(
+    (obj, file) =>
+      entries[file].routes.reduce(
+        (routeObj, route) => ({ ...routeObj, [route]: file }),
+        obj
+      ),
+    {}
+  );
+
+  // html files are only read when they need a nonce added, and are then kept in memory
+  const htmlCache = {};
+  const readHtml = (file) => {
+    if (!htmlCache[file]) {
+      htmlCache[file] = fs.readFileSync(path.join(htmlDir, file), 'utf8');
+    }
+    return htmlCache[file];
+  };
+
+  /**
+   * @param {string} method - the http method of the request
+   * @param {string} url - the url of the request
+   * @return {{headers: object, nonce: (string|null), html: (string|null)}|null} - null if the url isn't an html file in the manifest
+   */
+  return (method, url) => {
+    const { pathname } = new URL(url, 'http://localhost');
+
+    // malformed paths can't be in the manifest, and mustn't throw, as that would take down a plain http server
+    let file;
+    try {
+      file = routes[decodeURIComponent(pathname)];
+    } catch (e) {
+      return null;
+    }
+    if (!file) {
+      return null;
+    }
+
+    const { headers, noncePlaceholder, options = {} } = entries[file];
+    if (!noncePlaceholder) {
+      return { headers, nonce: null, html: null };
+    }
+
+    // the html has to be served from here, so that it gets the same nonce as the headers
+    // the nonce is created with the byte length and encoding the plugin was configured with
+    const serveHtml = htmlDir && ['GET', 'HEAD'].includes(method);
+    const response = applyNonce(
+      { headers, html: serveHtml ? readHtml(file) : '' },
+      {
+        nonce: createNonce(options.nonceByteLength, options.nonceEncoding),
+        placeholder: noncePlaceholder,
+      }
+    );
+    return { ...response, html: serveHtml ? response.html : null };
+  };
+};
+
+/**
+ * Creates middleware for Express, Connect or a plain Node http server, which sets the CSP headers for every html file
+ * in the manifest. If the html contains a nonce placeholder, the html is served by the middleware with a fresh nonce
+ * Otherwise, the request is passed on to next, and the nonce is available in res.locals.cspNonce
+ * @param {object} opts - see createResolver
+ * @return {function(object, object, function=)}
+ */
+const createCspMiddleware = (opts) => {
+  const resolve = createResolver(opts);
+
+  return (req, res, next = () => {}) => {
+    const response = resolve(req.method, req.url);
+    if (!response) {
+      return next();
+    }
+
+    Object.keys(response.headers).forEach((name) => {
+      res.setHeader(name, response.headers[name]);
+    });
+
+    if (response.html === null) {
+      res.locals = { ...res.locals, cspNonce: response.nonce };
+      return next();
+    }
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    return res.end(req.method === 'HEAD' ? undefined : response.html);
+  };
+};
+
+/**
+ * Creates middleware for Koa, which behaves the same as createCspMiddleware
+ * The nonce is available in ctx.state.cspNonce
+ * @param {object} opts - see createResolver
+ * @return {function(object, function): Promise}
+ */
+const createKoaCspMiddleware = (opts) => {
+  const resolve = createResolver(opts);
+
+  return async (ctx, next) => {
+    const response = resolve(ctx.method, ctx.url);
+    if (!response) {
+      return next();
+    }
+
+    ctx.set(response.headers);
+
+    if (response.html === null) {
+      ctx.state.cspNonce = response.nonce;
+      return next();
+    }
+
+    ctx.status = 200;
+    ctx.type = 'html';
+    ctx.set('Cache-Control', 'no-store');
+    ctx.body = response.html;
+    return undefined;
+  };
+};
+
+module.exports = {
+  loadManifest,
+  createCspMiddleware,
+  createKoaCspMiddleware,
+};
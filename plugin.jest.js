@@ -1,5 +1,9 @@
+const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const vm = require('vm');
+const webpack = require('webpack');
+const MemoryFs = require('memory-fs');
 const HtmlWebpackPlugin = require('html-webpack-plugin');
 const { RawSource } = require('webpack-sources');
 const {
@@ -41,6 +45,19 @@ describe('CspHtmlWebpackPlugin', () => {
       }).toThrow(new Error(`'invalid' is not a valid hashing method`));
     });
 
+    it('throws an error if an invalid hashing method is used in a list, or for a directive', () => {
+      [
+        [['sha256', 'md5'], 'md5'],
+        [{ 'script-src': 'sha384', 'style-src': ['sha1'] }, 'sha1'],
+        [{ 'script-src': [] }, '[]'],
+      ].forEach(([hashingMethod, invalid]) => {
+        expect(() => {
+          // eslint-disable-next-line no-new
+          new CspHtmlWebpackPlugin({}, { hashingMethod });
+        }).toThrow(new Error(`'${invalid}' is not a valid hashing method`));
+      });
+    });
+
     describe('validatePolicy', () => {
       [
         'self',
@@ -114,6 +131,244 @@ describe('CspHtmlWebpackPlugin', () => {
           );
         });
       });
+
+      it('adds an error for unknown directives, suggesting the closest known directive', (done) => {
+        const config = createWebpackConfig([
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+          }),
+          new CspHtmlWebpackPlugin({
+            'scirpt-src': "'self'",
+            'made-up-directive': "'self'",
+          }),
+        ]);
+
+        webpackCompile(
+          config,
+          (_1, _2, _3, errors) => {
+            expect(errors).toEqual([
+              new Error(
+                'CSP: scirpt-src is not a valid directive. Did you mean script-src?'
+              ),
+              new Error('CSP: made-up-directive is not a valid directive'),
+            ]);
+            done();
+          },
+          {
+            expectError: true,
+          }
+        );
+      });
+
+      it('adds an error for each invalid source expression', (done) => {
+        const config = createWebpackConfig([
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+          }),
+          new CspHtmlWebpackPlugin({
+            'script-src': [
+              "'self'",
+              'https://*.example.com:443/path/',
+              'blob:',
+              "'sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc='",
+              "'nonce-abc123=='",
+              'https://example..com',
+              'example.com:port',
+              'data',
+              '1http:',
+              "'nonce-abc$'",
+              "'sha256-abc'",
+              "'md5-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc='",
+              "'unsafe_inline'",
+              "'https://a-slack-edge.com'",
+              'sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc=',
+            ],
+            'frame-ancestors': "'unsafe-inline'",
+          }),
+        ]);
+
+        webpackCompile(
+          config,
+          (_1, _2, _3, errors) => {
+            expect(errors.map((error) => error.message)).toEqual([
+              'CSP: policy for script-src contains https://example..com which is not a valid host source',
+              'CSP: policy for script-src contains example.com:port which is not a valid host source',
+              'CSP: policy for script-src contains data which is not a valid scheme source. Did you mean data:?',
+              'CSP: policy for script-src contains 1http: which is not a valid scheme source',
+              "CSP: policy for script-src contains 'nonce-abc$' which is not a valid nonce source. Nonces must be base64 encoded",
+              "CSP: policy for script-src contains 'sha256-abc' which is not a valid hash source. It should be a base64 encoded sha256 digest",
+              "CSP: policy for script-src contains 'md5-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc=' which is not a valid keyword source",
+              "CSP: policy for script-src contains 'unsafe_inline' which is not a valid keyword source",
+              "CSP: policy for script-src contains 'https://a-slack-edge.com' which is not a valid keyword source. Hosts and schemes should not be wrapped in apostrophes, use https://a-slack-edge.com",
+              'CSP: policy for script-src contains sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc= which should be wrapped in apostrophes',
+              "CSP: policy for frame-ancestors contains 'unsafe-inline' which is not a valid keyword source",
+            ]);
+            done();
+          },
+          {
+            expectError: true,
+          }
+        );
+      });
+
+      it('validates the values of directives which take something other than a source list', (done) => {
+        const config = createWebpackConfig([
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+          }),
+          new CspHtmlWebpackPlugin(
+            {
+              sandbox: ['allow-scripts', 'allow-everything'],
+              'upgrade-insecure-requests': 'true',
+              webrtc: 'allow',
+            },
+            {
+              processFn: jest.fn(),
+            }
+          ),
+        ]);
+
+        webpackCompile(
+          config,
+          (_1, _2, _3, errors) => {
+            expect(errors).toEqual([
+              new Error(
+                'CSP: policy for sandbox contains allow-everything which is not a valid sandbox token'
+              ),
+              new Error("CSP: upgrade-insecure-requests doesn't take a value"),
+              new Error(
+                "CSP: policy for webrtc should be either 'allow' or 'block'"
+              ),
+            ]);
+            done();
+          },
+          {
+            expectError: true,
+          }
+        );
+      });
+
+      it("adds warnings for deprecated directives, and 'none' alongside other sources", (done) => {
+        const config = createWebpackConfig([
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+          }),
+          new CspHtmlWebpackPlugin({
+            'block-all-mixed-content': '',
+            'plugin-types': 'application/pdf',
+            'img-src': ["'none'", "'self'"],
+          }),
+        ]);
+
+        webpackCompile(
+          config,
+          (_1, _2, _3, errors, warnings) => {
+            expect(errors).toEqual([]);
+            expect(warnings).toEqual([
+              new Error(
+                'CSP: block-all-mixed-content is deprecated, use upgrade-insecure-requests instead'
+              ),
+              new Error(
+                "CSP: plugin-types is deprecated, use object-src 'none' instead"
+              ),
+              new Error(
+                "CSP: policy for img-src contains 'none' alongside other sources, so 'none' will be ignored"
+              ),
+            ]);
+            done();
+          },
+          {
+            expectError: true,
+          }
+        );
+      });
+
+      it('allows the severity of each problem to be configured, globally and for a specific instance of HtmlWebpackPlugin', (done) => {
+        const config = createWebpackConfig([
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index-1.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+          }),
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index-2.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+            cspPlugin: {
+              validation: {
+                'unknown-directive': 'off',
+              },
+            },
+          }),
+          new CspHtmlWebpackPlugin(
+            {
+              'scirpt-src': "'self'",
+              'block-all-mixed-content': '',
+            },
+            {
+              validation: {
+                'unknown-directive': 'warning',
+                'deprecated-directive': 'error',
+              },
+            }
+          ),
+        ]);
+
+        webpackCompile(
+          config,
+          (_1, _2, _3, errors, warnings) => {
+            expect(errors).toEqual([
+              new Error(
+                'CSP: block-all-mixed-content is deprecated, use upgrade-insecure-requests instead'
+              ),
+              new Error(
+                'CSP: block-all-mixed-content is deprecated, use upgrade-insecure-requests instead'
+              ),
+            ]);
+            expect(warnings).toEqual([
+              new Error(
+                'CSP: scirpt-src is not a valid directive. Did you mean script-src?'
+              ),
+            ]);
+            done();
+          },
+          {
+            expectError: true,
+          }
+        );
+      });
     });
   });
 
@@ -157,7 +412,7 @@ describe('CspHtmlWebpackPlugin', () => {
         }),
         new CspHtmlWebpackPlugin({
           'base-uri': ["'self'", 'https://slack.com'],
-          'font-src': ["'self'", "'https://a-slack-edge.com'"],
+          'font-src': ["'self'", 'https://a-slack-edge.com'],
           'script-src': ["'self'"],
           'style-src': ["'self'"],
           'connect-src': ["'self'"],
@@ -170,7 +425,7 @@ describe('CspHtmlWebpackPlugin', () => {
           " object-src 'none';" +
           " script-src 'self' 'nonce-mockedbase64string-1';" +
           " style-src 'self';" +
-          " font-src 'self' 'https://a-slack-edge.com';" +
+          " font-src 'self' https://a-slack-edge.com;" +
           " connect-src 'self'";
 
         expect(csps['index.html']).toEqual(expected);
@@ -323,7 +578,7 @@ describe('CspHtmlWebpackPlugin', () => {
             cspPlugin: {
               policy: {
                 'base-uri': ["'self'", 'https://slack.com'],
-                'font-src': ["'self'", "'https://a-slack-edge.com'"],
+                'font-src': ["'self'", 'https://a-slack-edge.com'],
                 'script-src': ["'self'"],
                 'style-src': ["'self'"],
                 'connect-src': ["'self'"],
@@ -339,7 +594,7 @@ describe('CspHtmlWebpackPlugin', () => {
             " object-src 'none';" +
             " script-src 'self' 'nonce-mockedbase64string-1';" +
             " style-src 'self';" +
-            " font-src 'self' 'https://a-slack-edge.com';" +
+            " font-src 'self' https://a-slack-edge.com;" +
             " connect-src 'self'";
 
           expect(csps['index.html']).toEqual(expected);
@@ -360,8 +615,8 @@ describe('CspHtmlWebpackPlugin', () => {
             cspPlugin: {
               policy: {
                 'font-src': [
-                  "'https://a-slack-edge.com'",
-                  "'https://b-slack-edge.com'",
+                  'https://a-slack-edge.com',
+                  'https://b-slack-edge.com',
                 ],
               },
             },
@@ -378,7 +633,7 @@ describe('CspHtmlWebpackPlugin', () => {
             " object-src 'none';" + // this comes from the default policy
             " script-src 'unsafe-inline' 'self' 'unsafe-eval' 'nonce-mockedbase64string-1';" + // this comes from the default policy
             " style-src 'unsafe-inline' 'self' 'unsafe-eval';" + // this comes from the default policy
-            " font-src 'https://a-slack-edge.com' 'https://b-slack-edge.com'"; // this should only include the HtmlWebpackPlugin instance policy
+            ' font-src https://a-slack-edge.com https://b-slack-edge.com'; // this should only include the HtmlWebpackPlugin instance policy
 
           expect(csps['index.html']).toEqual(expected);
           done();
@@ -397,8 +652,8 @@ describe('CspHtmlWebpackPlugin', () => {
             ),
             cspPlugin: {
               policy: {
-                'script-src': ["'https://a-slack-edge.com'"],
-                'style-src': ["'https://b-slack-edge.com'"],
+                'script-src': ['https://a-slack-edge.com'],
+                'style-src': ['https://b-slack-edge.com'],
               },
             },
           }),
@@ -418,8 +673,8 @@ describe('CspHtmlWebpackPlugin', () => {
           const expectedCustom =
             "base-uri 'self';" +
             " object-src 'none';" +
-            " script-src 'https://a-slack-edge.com' 'nonce-mockedbase64string-1';" +
-            " style-src 'https://b-slack-edge.com'";
+            " script-src https://a-slack-edge.com 'nonce-mockedbase64string-1';" +
+            ' style-src https://b-slack-edge.com';
 
           const expectedDefault =
             "base-uri 'self';" +
@@ -641,8 +896,8 @@ describe('CspHtmlWebpackPlugin', () => {
     });
   });
 
-  describe('Plugin enabled check', () => {
-    it("doesn't modify the html if enabled is the bool false", (done) => {
+  describe('Directive fallbacks', () => {
+    it('adds hashes and nonces to script-src-elem and style-src-elem when they are defined', (done) => {
       const config = createWebpackConfig([
         new HtmlWebpackPlugin({
           filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
@@ -650,25 +905,33 @@ describe('CspHtmlWebpackPlugin', () => {
             __dirname,
             'test-utils',
             'fixtures',
-            'with-no-meta-tag.html'
+            'with-script-and-style.html'
           ),
         }),
-        new CspHtmlWebpackPlugin(
-          {},
-          {
-            enabled: false,
-          }
-        ),
+        new CspHtmlWebpackPlugin({
+          'script-src': "'self'",
+          'script-src-elem': "'self'",
+          'style-src': "'self'",
+          'style-src-elem': "'self'",
+        }),
       ]);
 
-      webpackCompile(config, (csps, selectors) => {
-        expect(csps['index.html']).toBeUndefined();
-        expect(selectors['index.html']('meta').length).toEqual(1);
+      webpackCompile(config, (csps) => {
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'self';" +
+          " style-src 'self';" +
+          " script-src-elem 'self' 'sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc=' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2';" +
+          " style-src-elem 'self' 'sha256-MqG77yUiqBo4MMVZAl09WSafnQY4Uu3cSdZPKxaf9sQ=' 'nonce-mockedbase64string-3'";
+
+        expect(csps['index.html']).toEqual(expected);
         done();
       });
     });
 
-    it("doesn't modify the html if the `cspPlugin.enabled` option in HtmlWebpack Plugin is false", (done) => {
+    it("adds hashes and nonces to default-src when a policy doesn't define script-src or style-src", (done) => {
+      const processFn = jest.fn();
       const config = createWebpackConfig([
         new HtmlWebpackPlugin({
           filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
@@ -676,23 +939,35 @@ describe('CspHtmlWebpackPlugin', () => {
             __dirname,
             'test-utils',
             'fixtures',
-            'with-no-meta-tag.html'
+            'with-script-and-style.html'
           ),
-          cspPlugin: {
-            enabled: false,
-          },
         }),
-        new CspHtmlWebpackPlugin(),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            processFn,
+            hashEnabled: {
+              'style-src': false,
+            },
+            reportOnlyPolicy: {
+              'default-src': "'self'",
+            },
+          }
+        ),
       ]);
 
-      webpackCompile(config, (csps, selectors) => {
-        expect(csps['index.html']).toBeUndefined();
-        expect(selectors['index.html']('meta').length).toEqual(1);
+      webpackCompile(config, () => {
+        expect(
+          processFn.mock.calls[0][4]['Content-Security-Policy-Report-Only']
+        ).toEqual(
+          "default-src 'self' 'sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc=' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2' 'nonce-mockedbase64string-3'"
+        );
         done();
       });
     });
 
-    it("doesn't modify the html if enabled is a function which return false", (done) => {
+    it("doesn't add a directive to a policy which has nothing governing those elements", (done) => {
+      const processFn = jest.fn();
       const config = createWebpackConfig([
         new HtmlWebpackPlugin({
           filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
@@ -700,62 +975,96 @@ describe('CspHtmlWebpackPlugin', () => {
             __dirname,
             'test-utils',
             'fixtures',
-            'with-no-meta-tag.html'
+            'with-script-and-style.html'
           ),
         }),
         new CspHtmlWebpackPlugin(
           {},
           {
-            enabled: () => false,
+            processFn,
+            reportOnlyPolicy: {
+              'script-src': "'self'",
+            },
           }
         ),
       ]);
 
-      webpackCompile(config, (csps, selectors) => {
-        expect(csps['index.html']).toBeUndefined();
-        expect(selectors['index.html']('meta').length).toEqual(1);
+      webpackCompile(config, () => {
+        expect(
+          processFn.mock.calls[0][4]['Content-Security-Policy-Report-Only']
+        ).toEqual(
+          "script-src 'self' 'sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc=' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2'"
+        );
         done();
       });
     });
 
-    it("doesn't modify html from the HtmlWebpackPlugin instance which has been disabled", (done) => {
+    it('allows hashes and nonces to be disabled for the -elem directives, falling back to the script-src and style-src settings', (done) => {
       const config = createWebpackConfig([
         new HtmlWebpackPlugin({
-          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-enabled.html'),
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
           template: path.join(
             __dirname,
             'test-utils',
             'fixtures',
-            'with-no-meta-tag.html'
+            'with-script-and-style.html'
           ),
         }),
+        new CspHtmlWebpackPlugin(
+          {
+            'script-src': "'self'",
+            'style-src': "'self'",
+          },
+          {
+            hashEnabled: {
+              'script-src-elem': false,
+            },
+            nonceEnabled: {
+              'style-src': false,
+              'style-src-elem': true,
+            },
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps) => {
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'self' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2';" +
+          " style-src 'self' 'sha256-MqG77yUiqBo4MMVZAl09WSafnQY4Uu3cSdZPKxaf9sQ=' 'nonce-mockedbase64string-3'";
+
+        expect(csps['index.html']).toEqual(expected);
+        done();
+      });
+    });
+  });
+
+  describe('Host allowlisting', () => {
+    it("doesn't add the origins of other resources by default", (done) => {
+      const config = createWebpackConfig([
         new HtmlWebpackPlugin({
-          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-disabled.html'),
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
           template: path.join(
             __dirname,
             'test-utils',
             'fixtures',
-            'with-no-meta-tag.html'
+            'with-external-resources.html'
           ),
-          cspPlugin: {
-            enabled: false,
-          },
         }),
-        new CspHtmlWebpackPlugin(),
+        new CspHtmlWebpackPlugin({
+          'img-src': "'self'",
+        }),
       ]);
 
-      webpackCompile(config, (csps, selectors) => {
-        expect(csps['index-enabled.html']).toBeDefined();
-        expect(csps['index-disabled.html']).toBeUndefined();
-        expect(selectors['index-enabled.html']('meta').length).toEqual(2);
-        expect(selectors['index-disabled.html']('meta').length).toEqual(1);
+      webpackCompile(config, (csps) => {
+        expect(csps['index.html']).toContain("img-src 'self'");
+        expect(csps['index.html']).not.toContain('example.com');
         done();
       });
     });
-  });
 
-  describe('Meta tag', () => {
-    it('still adds the CSP policy into the CSP meta tag even if the content attribute is missing', (done) => {
+    it('adds the origins of other resources to their directives, leaving out excluded origins', (done) => {
       const config = createWebpackConfig([
         new HtmlWebpackPlugin({
           filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
@@ -763,10 +1072,24 @@ describe('CspHtmlWebpackPlugin', () => {
             __dirname,
             'test-utils',
             'fixtures',
-            'with-no-content-attr.html'
+            'with-external-resources.html'
           ),
         }),
-        new CspHtmlWebpackPlugin(),
+        new CspHtmlWebpackPlugin(
+          {
+            'img-src': "'self'",
+            'frame-src': "'none'",
+            'media-src': "'self'",
+            'manifest-src': "'self'",
+            'form-action': "'self'",
+            'font-src': "'self' *.example.com",
+          },
+          {
+            hostAllowlist: {
+              exclude: ['*.example.net'],
+            },
+          }
+        ),
       ]);
 
       webpackCompile(config, (csps) => {
@@ -774,14 +1097,20 @@ describe('CspHtmlWebpackPlugin', () => {
           "base-uri 'self';" +
           " object-src 'none';" +
           " script-src 'unsafe-inline' 'self' 'unsafe-eval' 'nonce-mockedbase64string-1';" +
-          " style-src 'unsafe-inline' 'self' 'unsafe-eval'";
+          " style-src 'unsafe-inline' 'self' 'unsafe-eval';" +
+          " img-src 'self' https://images.example.com images.example.com;" +
+          " frame-src 'none' https://www.youtube.com;" +
+          " media-src 'self' https://media.example.com;" +
+          " manifest-src 'self' https://static.example.com;" +
+          " form-action 'self' https://forms.example.com;" +
+          " font-src 'self' *.example.com";
 
         expect(csps['index.html']).toEqual(expected);
         done();
       });
     });
 
-    it('adds meta tag with completed policy when no meta tag is specified', (done) => {
+    it('adds origins to a new directive copying the one it falls back to, and skips directives nothing governs', (done) => {
       const config = createWebpackConfig([
         new HtmlWebpackPlugin({
           filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
@@ -789,10 +1118,15 @@ describe('CspHtmlWebpackPlugin', () => {
             __dirname,
             'test-utils',
             'fixtures',
-            'with-no-meta-tag.html'
+            'with-external-resources.html'
           ),
+          cspPlugin: {
+            hostAllowlist: true,
+          },
+        }),
+        new CspHtmlWebpackPlugin({
+          'default-src': "'self'",
         }),
-        new CspHtmlWebpackPlugin(),
       ]);
 
       webpackCompile(config, (csps) => {
@@ -800,34 +1134,3549 @@ describe('CspHtmlWebpackPlugin', () => {
           "base-uri 'self';" +
           " object-src 'none';" +
           " script-src 'unsafe-inline' 'self' 'unsafe-eval' 'nonce-mockedbase64string-1';" +
-          " style-src 'unsafe-inline' 'self' 'unsafe-eval'";
+          " style-src 'unsafe-inline' 'self' 'unsafe-eval';" +
+          " default-src 'self';" +
+          " img-src 'self' https://images.example.com https://ads.example.net images.example.com;" +
+          " font-src 'self' https://fonts.example.com;" +
+          " frame-src 'self' https://www.youtube.com;" +
+          " media-src 'self' https://media.example.com;" +
+          " manifest-src 'self' https://static.example.com";
 
+        // form-action doesn't fall back to default-src, so any form action is already allowed
         expect(csps['index.html']).toEqual(expected);
         done();
       });
     });
+  });
 
-    it('adds meta tag with completed policy when no template is specified', (done) => {
+  describe('Build requirements', () => {
+    it("doesn't add the sources the build needs by default", (done) => {
+      const config = {
+        ...createWebpackConfig(
+          [
+            new HtmlWebpackPlugin({
+              filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+              template: path.join(
+                __dirname,
+                'test-utils',
+                'fixtures',
+                'with-nothing.html'
+              ),
+            }),
+            new CspHtmlWebpackPlugin({
+              'script-src': "'self'",
+            }),
+          ],
+          'https://cdn.example.com/'
+        ),
+        devtool: 'eval',
+      };
+
+      webpackCompile(config, (csps) => {
+        expect(csps['index.html']).toContain(
+          "script-src 'self' 'nonce-mockedbase64string-1';"
+        );
+        done();
+      });
+    });
+
+    it("adds 'unsafe-eval' for eval devtools, and the publicPath origin for async chunks", (done) => {
+      const config = {
+        ...createWebpackConfig(
+          [
+            new HtmlWebpackPlugin({
+              filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+              template: path.join(
+                __dirname,
+                'test-utils',
+                'fixtures',
+                'with-nothing.html'
+              ),
+            }),
+            new CspHtmlWebpackPlugin(
+              {
+                'script-src': "'self'",
+              },
+              {
+                buildRequirements: true,
+              }
+            ),
+          ],
+          'https://cdn.example.com/assets/'
+        ),
+        devtool: 'eval-source-map',
+      };
+
+      webpackCompile(config, (csps) => {
+        expect(csps['index.html']).toContain(
+          "script-src 'self' 'nonce-mockedbase64string-1' 'unsafe-eval' https://cdn.example.com;"
+        );
+        done();
+      });
+    });
+
+    it("doesn't add sources the policy already allows", (done) => {
+      const config = createWebpackConfig(
+        [
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+          }),
+          new CspHtmlWebpackPlugin(
+            {
+              'script-src': "'self' *.example.com",
+            },
+            {
+              buildRequirements: true,
+            }
+          ),
+        ],
+        'https://cdn.example.com/'
+      );
+
+      webpackCompile(config, (csps) => {
+        expect(csps['index.html']).toContain(
+          "script-src 'self' *.example.com 'nonce-mockedbase64string-1';"
+        );
+        done();
+      });
+    });
+
+    it('adds a worker-src for web workers, copying the directive it falls back to', (done) => {
+      const config = {
+        ...createWebpackConfig([
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+          }),
+          new CspHtmlWebpackPlugin(
+            {
+              'script-src': 'https://example.com',
+            },
+            {
+              buildRequirements: true,
+            }
+          ),
+        ]),
+        entry: path.join(__dirname, 'test-utils', 'fixtures', 'with-worker.js'),
+      };
+
+      webpackCompile(config, (csps) => {
+        expect(csps['index.html']).toEqual(
+          "base-uri 'self';" +
+            " object-src 'none';" +
+            " script-src https://example.com 'nonce-mockedbase64string-1';" +
+            " style-src 'unsafe-inline' 'self' 'unsafe-eval';" +
+            " worker-src https://example.com 'self'"
+        );
+        done();
+      });
+    });
+  });
+
+  describe('Development mode', () => {
+    it('throws an error if an invalid dev mode is used', () => {
+      expect(() => {
+        // eslint-disable-next-line no-new
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            devMode: 'development',
+          }
+        );
+      }).toThrow(new Error(`'development' is not a valid dev mode`));
+    });
+
+    [
+      { port: 'auto' },
+      { host: 'local-ip', port: 3000 },
+      { host: 'local-ipv4' },
+    ].forEach((devServer) => {
+      it(`allows just the websocket scheme when webpack-dev-server picks the address, for ${JSON.stringify(
+        devServer
+      )}`, (done) => {
+        const config = {
+          ...createWebpackConfig([
+            new HtmlWebpackPlugin({
+              filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+              template: path.join(
+                __dirname,
+                'test-utils',
+                'fixtures',
+                'with-nothing.html'
+              ),
+            }),
+            new CspHtmlWebpackPlugin({
+              'default-src': "'self'",
+            }),
+          ]),
+          mode: 'development',
+          devServer,
+        };
+
+        webpackCompile(config, (csps) => {
+          expect(csps['index.html']).toMatch(/ connect-src 'self' ws:$/);
+          done();
+        });
+      });
+    });
+
+    it('loosens the policy for hot reloading when webpack-dev-server is configured, and labels the html', (done) => {
+      const config = {
+        ...createWebpackConfig([
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-script-and-style.html'
+            ),
+          }),
+          new CspHtmlWebpackPlugin({
+            'default-src': "'self'",
+            'script-src': "'self'",
+            'style-src': "'self'",
+          }),
+        ]),
+        mode: 'development',
+        devServer: {
+          host: 'local.example.com',
+          port: 3000,
+          https: true,
+        },
+      };
+
+      webpackCompile(config, (csps, selectors) => {
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'self' 'sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc=' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2' 'unsafe-eval';" +
+          " style-src 'self' 'unsafe-inline';" +
+          " default-src 'self';" +
+          " connect-src 'self' wss://local.example.com:3000";
+
+        expect(csps['index.html']).toEqual(expected);
+        expect(
+          selectors['index.html']('link[rel="stylesheet"]').attr('nonce')
+        ).toBeUndefined();
+        expect(selectors['index.html']('head').html()).toContain(
+          '<!-- development Content-Security-Policy, loosened for hot reloading. Do not deploy -->'
+        );
+        done();
+      });
+    });
+
+    it("doesn't loosen the policy in development mode if devMode is turned off", (done) => {
+      const config = {
+        ...createWebpackConfig([
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+          }),
+          new CspHtmlWebpackPlugin(
+            {
+              'default-src': "'self'",
+              'script-src': "'self'",
+              'style-src': "'self'",
+            },
+            {
+              devMode: false,
+            }
+          ),
+        ]),
+        mode: 'development',
+        devServer: {},
+      };
+
+      webpackCompile(config, (csps, selectors) => {
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'self' 'nonce-mockedbase64string-1';" +
+          " style-src 'self';" +
+          " default-src 'self'";
+
+        expect(csps['index.html']).toEqual(expected);
+        expect(selectors['index.html']('head').html()).not.toContain(
+          'development Content-Security-Policy'
+        );
+        done();
+      });
+    });
+
+    describe('when webpack-dev-server is configured for a production build', () => {
+      const env = { ...process.env };
+
+      afterEach(() => {
+        process.env = { ...env };
+      });
+
+      /**
+       * Creates a production config, which also has devServer options
+       * @return {object}
+       */
+      const createConfig = () => ({
+        ...createWebpackConfig([
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+            minify: false,
+          }),
+          new CspHtmlWebpackPlugin({
+            'default-src': "'self'",
+            'script-src': "'self'",
+            'style-src': "'self'",
+          }),
+        ]),
+        mode: 'production',
+        optimization: {
+          minimize: false,
+        },
+        devServer: {
+          port: 3000,
+        },
+      });
+
+      it("doesn't loosen the policy when the build isn't run by webpack-dev-server", (done) => {
+        delete process.env.WEBPACK_SERVE;
+        delete process.env.WEBPACK_DEV_SERVER;
+
+        webpackCompile(createConfig(), (csps, selectors) => {
+          expect(csps['index.html']).toEqual(
+            "base-uri 'self';" +
+              " object-src 'none';" +
+              " script-src 'self' 'nonce-mockedbase64string-1';" +
+              " style-src 'self';" +
+              " default-src 'self'"
+          );
+          expect(selectors['index.html']('head').html()).not.toContain(
+            'development Content-Security-Policy'
+          );
+          done();
+        });
+      });
+
+      it('loosens the policy when the build is run by webpack-dev-server', (done) => {
+        process.env.WEBPACK_SERVE = 'true';
+
+        webpackCompile(createConfig(), (csps, selectors) => {
+          expect(csps['index.html']).toEqual(
+            "base-uri 'self';" +
+              " object-src 'none';" +
+              " script-src 'self' 'nonce-mockedbase64string-1';" +
+              " style-src 'self' 'unsafe-inline';" +
+              " default-src 'self';" +
+              " connect-src 'self' ws://localhost:3000"
+          );
+          expect(selectors['index.html']('head').html()).toContain(
+            'development Content-Security-Policy'
+          );
+          done();
+        });
+      });
+    });
+  });
+
+  describe('Trusted Types', () => {
+    it('throws an error if an invalid policy name is allowed', () => {
+      expect(() => {
+        // eslint-disable-next-line no-new
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            trustedTypes: {
+              policies: ['my policy'],
+            },
+          }
+        );
+      }).toThrow(
+        new Error(`'my policy' is not a valid Trusted Types policy name`)
+      );
+    });
+
+    it('adds the Trusted Types directives, with the policy names allowed', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-1.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'script-src': "'self'",
+            'style-src': "'self'",
+            'trusted-types': "'none'",
+          },
+          {
+            trustedTypes: {
+              policies: ['escape', 'analytics'],
+              allowDuplicates: true,
+            },
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps) => {
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'self' 'nonce-mockedbase64string-1';" +
+          " style-src 'self';" +
+          " trusted-types escape analytics 'allow-duplicates';" +
+          " require-trusted-types-for 'script'";
+
+        expect(csps['index-1.html']).toEqual(expected);
+        done();
+      });
+    });
+
+    it("doesn't allow any policies to be created if none are allowed", (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin({}, { trustedTypes: true }),
+      ]);
+
+      webpackCompile(config, (csps) => {
+        expect(csps['index.html']).toContain(
+          "; require-trusted-types-for 'script'; trusted-types 'none'"
+        );
+        done();
+      });
+    });
+
+    it("warns about policies created by the emitted js which aren't allowed", (done) => {
+      const config = {
+        ...createWebpackConfig([
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index-1.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+          }),
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index-2.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+          }),
+          new CspHtmlWebpackPlugin(
+            {},
+            {
+              trustedTypes: {
+                policies: ['escape'],
+                scan: true,
+              },
+            }
+          ),
+        ]),
+        entry: path.join(
+          __dirname,
+          'test-utils',
+          'fixtures',
+          'with-trusted-types.js'
+        ),
+      };
+
+      webpackCompile(
+        config,
+        (_1, _2, _3, errors, warnings) => {
+          expect(errors).toEqual([]);
+          expect(warnings).toEqual([
+            new Error(
+              "CSP: index.bundle.js creates the Trusted Types policy 'analytics', which isn't in the trustedTypes policies option"
+            ),
+          ]);
+          done();
+        },
+        {
+          expectError: true,
+        }
+      );
+    });
+
+    it('validates the special values of the Trusted Types directives', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin({
+          'require-trusted-types-for': "script 'style'",
+          'trusted-types': "allow-duplicates 'default' my,policy",
+        }),
+      ]);
+
+      webpackCompile(
+        config,
+        (_1, _2, _3, errors) => {
+          expect(errors).toEqual([
+            new Error(
+              'CSP: policy for require-trusted-types-for contains script which should be wrapped in apostrophes'
+            ),
+            new Error(
+              "CSP: policy for require-trusted-types-for contains 'style', but the only sink group is 'script'"
+            ),
+            new Error(
+              'CSP: policy for trusted-types contains allow-duplicates which should be wrapped in apostrophes'
+            ),
+            new Error(
+              "CSP: policy for trusted-types contains 'default' which is not a valid keyword. It should be one of 'none', 'allow-duplicates'"
+            ),
+            new Error(
+              'CSP: policy for trusted-types contains my,policy which is not a valid Trusted Types policy name'
+            ),
+          ]);
+          done();
+        },
+        {
+          expectError: true,
+        }
+      );
+    });
+  });
+
+  describe('Presets', () => {
+    it('throws an error if an invalid preset is used', () => {
+      expect(() => {
+        // eslint-disable-next-line no-new
+        new CspHtmlWebpackPlugin({}, { preset: ['strict', 'invalid'] });
+      }).toThrow(new Error(`'invalid' is not a valid preset`));
+    });
+
+    it('exposes the presets so they can be extended', () => {
+      expect(Object.keys(CspHtmlWebpackPlugin.presets)).toEqual([
+        'strict',
+        'legacyCompatible',
+        'lockdown',
+      ]);
+      expect(CspHtmlWebpackPlugin.presets.strict['object-src']).toEqual(
+        "'none'"
+      );
+    });
+
+    it('uses the preset in place of the default policy, with the CspHtmlWebpackPlugin policy merged in', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-script-and-style.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'style-src': "'self'",
+          },
+          {
+            preset: 'strict',
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps) => {
+        const expected =
+          "base-uri 'none';" +
+          " object-src 'none';" +
+          " script-src 'unsafe-inline' https: 'sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc=' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2' 'strict-dynamic';" +
+          " style-src 'self' 'sha256-MqG77yUiqBo4MMVZAl09WSafnQY4Uu3cSdZPKxaf9sQ=' 'nonce-mockedbase64string-3'";
+
+        expect(csps['index.html']).toEqual(expected);
+        done();
+      });
+    });
+
+    it('allows presets to be composed, and selected for a specific instance of HtmlWebpackPlugin', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-1.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+          cspPlugin: {
+            preset: ['lockdown', { 'img-src': 'https://images.example.com' }],
+            policy: {
+              'connect-src': 'https://api.example.com',
+            },
+          },
+        }),
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-2.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin({}, { preset: 'legacyCompatible' }),
+      ]);
+
+      webpackCompile(config, (csps) => {
+        const expected1 =
+          "default-src 'none';" +
+          " base-uri 'none';" +
+          " object-src 'none';" +
+          " script-src 'self' 'nonce-mockedbase64string-1';" +
+          " style-src 'self';" +
+          ' img-src https://images.example.com;' +
+          " font-src 'self';" +
+          ' connect-src https://api.example.com;' +
+          " manifest-src 'self';" +
+          " form-action 'self'";
+        const expected2 =
+          "default-src 'self';" +
+          " base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'self' 'unsafe-inline' 'nonce-mockedbase64string-2';" +
+          " style-src 'self' 'unsafe-inline'";
+
+        expect(csps['index-1.html']).toEqual(expected1);
+        expect(csps['index-2.html']).toEqual(expected2);
+        done();
+      });
+    });
+
+    it('adds an error if an invalid preset is used for a specific instance of HtmlWebpackPlugin', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+          cspPlugin: {
+            preset: 'stirct',
+          },
+        }),
+        new CspHtmlWebpackPlugin(),
+      ]);
+
+      webpackCompile(
+        config,
+        (csps, _2, _3, errors) => {
+          expect(errors).toEqual([
+            new Error("CSP: 'stirct' is not a valid preset"),
+          ]);
+          expect(csps['index.html']).toContain(
+            "script-src 'unsafe-inline' 'self' 'unsafe-eval'"
+          );
+          done();
+        },
+        {
+          expectError: true,
+        }
+      );
+    });
+  });
+
+  describe('Merge strategies', () => {
+    const createConfig = (cspPluginPolicy, additionalOpts, cspPlugin) =>
+      createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+          cspPlugin,
+        }),
+        new CspHtmlWebpackPlugin(cspPluginPolicy, additionalOpts),
+      ]);
+
+    it('throws an error if an invalid merge strategy is used', () => {
+      expect(() => {
+        // eslint-disable-next-line no-new
+        new CspHtmlWebpackPlugin(
+          {},
+          { mergeStrategy: { 'script-src': 'invalid' } }
+        );
+      }).toThrow(new Error(`'invalid' is not a valid merge strategy`));
+    });
+
+    it('adds an error and uses the CspHtmlWebpackPlugin merge strategy if an invalid one is set on the HtmlWebpackPlugin instance', (done) => {
+      const config = createConfig(
+        {
+          'script-src': 'https://cdn.example.com',
+        },
+        { mergeStrategy: 'replace' },
+        { mergeStrategy: 'apend' }
+      );
+
+      webpackCompile(
+        config,
+        (csps, selectors, fileSystem, errors) => {
+          expect(errors).toEqual([
+            new Error("CSP: 'apend' is not a valid merge strategy"),
+          ]);
+          expect(csps['index.html']).toContain(
+            " script-src https://cdn.example.com 'nonce-mockedbase64string-1';"
+          );
+          done();
+        },
+        { expectError: true }
+      );
+    });
+
+    it('appends sources to the inherited directive when the append strategy is used for every directive', (done) => {
+      const config = createConfig(
+        {
+          'script-src': ["'self'", 'https://cdn.example.com'],
+          'style-src': 'https://fonts.example.com',
+        },
+        { mergeStrategy: 'append' }
+      );
+
+      webpackCompile(config, (csps) => {
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'unsafe-inline' 'self' 'unsafe-eval' https://cdn.example.com 'nonce-mockedbase64string-1';" +
+          " style-src 'unsafe-inline' 'self' 'unsafe-eval' https://fonts.example.com";
+
+        expect(csps['index.html']).toEqual(expected);
+        done();
+      });
+    });
+
+    it('only merges the directives a strategy has been set for, through every layer', (done) => {
+      const config = createConfig(
+        {
+          'script-src': 'https://cdn.example.com',
+          'style-src': 'https://fonts.example.com',
+        },
+        { mergeStrategy: { 'script-src': 'append' } },
+        {
+          policy: {
+            'script-src': 'https://analytics.example.com',
+          },
+        }
+      );
+
+      webpackCompile(config, (csps) => {
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'unsafe-inline' 'self' 'unsafe-eval' https://cdn.example.com https://analytics.example.com 'nonce-mockedbase64string-1';" +
+          ' style-src https://fonts.example.com';
+
+        expect(csps['index.html']).toEqual(expected);
+        done();
+      });
+    });
+
+    it('normalises the merged sources when the deep strategy is used', (done) => {
+      const config = createConfig(
+        {
+          'object-src': 'https://plugins.example.com',
+          'script-src': ["'SELF'", 'https:', 'https://cdn.example.com'],
+        },
+        { mergeStrategy: 'deep' }
+      );
+
+      webpackCompile(config, (csps) => {
+        const expected =
+          "base-uri 'self';" +
+          ' object-src https://plugins.example.com;' +
+          " script-src 'unsafe-inline' 'self' 'unsafe-eval' https: 'nonce-mockedbase64string-1';" +
+          " style-src 'unsafe-inline' 'self' 'unsafe-eval'";
+
+        expect(csps['index.html']).toEqual(expected);
+        done();
+      });
+    });
+
+    it('adds and removes inherited sources, using the merge strategy set on the HtmlWebpackPlugin instance, and leaves out directives which had nothing to remove', (done) => {
+      const config = createConfig(
+        {
+          'script-src': {
+            add: 'https://cdn.example.com',
+            remove: ["'UNSAFE-EVAL'", "'unsafe-inline'"],
+          },
+        },
+        { mergeStrategy: 'append' },
+        {
+          mergeStrategy: 'replace',
+          policy: {
+            'style-src': {
+              remove: ["'unsafe-inline'", "'self'", "'unsafe-eval'"],
+            },
+            'base-uri': { remove: true },
+            'img-src': { remove: ["'unsafe-eval'"] },
+          },
+        }
+      );
+
+      webpackCompile(config, (csps) => {
+        const expected =
+          "object-src 'none';" +
+          " script-src 'self' https://cdn.example.com 'nonce-mockedbase64string-1';" +
+          " style-src 'none'";
+
+        expect(csps['index.html']).toEqual(expected);
+        done();
+      });
+    });
+
+    it('merges the report only policy layers with the same strategy', (done) => {
+      const config = createConfig(
+        {},
+        {
+          headerOutput: 'netlify',
+          mergeStrategy: 'append',
+          reportOnlyPolicy: {
+            'script-src': "'self'",
+          },
+        },
+        {
+          reportOnlyPolicy: {
+            'script-src': 'https://cdn.example.com',
+          },
+        }
+      );
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const netlifyHeaders = fileSystem
+          .readFileSync(path.join(WEBPACK_OUTPUT_DIR, '_headers'))
+          .toString();
+
+        expect(netlifyHeaders).toContain(
+          "  Content-Security-Policy-Report-Only: script-src 'self' https://cdn.example.com"
+        );
+        done();
+      });
+    });
+  });
+
+  describe('Options as functions', () => {
+    it('builds the policy for each page from sync and async functions of the page', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'admin.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+          cspPlugin: {
+            policy: async (htmlPluginData) => ({
+              'img-src': htmlPluginData.outputName.includes('admin')
+                ? "'self'"
+                : "'none'",
+            }),
+          },
+        }),
+        new CspHtmlWebpackPlugin(
+          (htmlPluginData, compilation) => ({
+            'script-src': htmlPluginData.outputName.includes('admin')
+              ? "'self'"
+              : `'self' https://${compilation.options.mode}.example.com`,
+          }),
+          {
+            nonceEnabled: () => ({ 'script-src': false }),
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps) => {
+        expect(csps['index.html']).toEqual(
+          "base-uri 'self';" +
+            " object-src 'none';" +
+            " script-src 'self' https://none.example.com;" +
+            " style-src 'unsafe-inline' 'self' 'unsafe-eval'"
+        );
+        expect(csps['admin.html']).toEqual(
+          "base-uri 'self';" +
+            " object-src 'none';" +
+            " script-src 'self';" +
+            " style-src 'unsafe-inline' 'self' 'unsafe-eval';" +
+            " img-src 'self'"
+        );
+        done();
+      });
+    });
+
+    it('resolves hashEnabled, nonceEnabled and hashingMethod functions for each page', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-script-and-style.html'
+          ),
+          cspPlugin: {
+            hashEnabled: async () => ({ 'style-src': false }),
+          },
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            hashingMethod: (htmlPluginData, compilation) =>
+              compilation.options.mode === 'production' ? 'sha256' : 'sha384',
+            nonceEnabled: async () => ({ 'script-src': false }),
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps) => {
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha384-I8j99RwEV9SFO6EKWmKLpw3VxsvfabPoUJPZMFL1WWGjVShwX4YDWuJfq5+077jO';" +
+          " style-src 'unsafe-inline' 'self' 'unsafe-eval' 'nonce-mockedbase64string-1'";
+
+        expect(csps['index.html']).toEqual(expected);
+        done();
+      });
+    });
+
+    it('adds an error and falls back to sha256 if a hashingMethod function returns an invalid hashing method', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-script-and-style.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin({}, { hashingMethod: () => 'md5' }),
+      ]);
+
+      webpackCompile(
+        config,
+        (csps, selectors, fileSystem, errors) => {
+          expect(errors).toEqual([
+            new Error("CSP: 'md5' is not a valid hashing method"),
+          ]);
+          expect(csps['index.html']).toContain(
+            "'sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc='"
+          );
+          done();
+        },
+        { expectError: true }
+      );
+    });
+
+    it('fails the build if an option function throws', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+          cspPlugin: {
+            policy: () => Promise.reject(new Error('policy unavailable')),
+          },
+        }),
+        new CspHtmlWebpackPlugin(),
+      ]);
+
+      webpackCompile(
+        config,
+        (csps, selectors, fileSystem, errors) => {
+          // HtmlWebpackPlugin wraps the errors from its hooks in its own
+          expect(errors.length).toEqual(1);
+          expect(String(errors[0])).toContain('Error: policy unavailable');
+          done();
+        },
+        { expectError: true }
+      );
+    });
+  });
+
+  describe('Script loader', () => {
+    it('replaces the external scripts with a hashed inline loader, and allows what it loads with strict-dynamic', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-script-and-style.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'script-src': "'self'",
+          },
+          {
+            scriptLoader: true,
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors) => {
+        const $ = selectors['index.html'];
+        expect($('script[src]').length).toEqual(0);
+
+        // the loader takes the place of the first external script
+        const loader = $('script').first().html();
+        expect(loader).toContain(
+          '[{"type":"text/javascript","src":"https://example.com/example.js"}], [{"defer":"","src":"index.bundle.js"}]'
+        );
+        const loaderHash = crypto
+          .createHash('sha256')
+          .update(loader, 'utf8')
+          .digest('base64');
+
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          ` script-src 'self' 'sha256-${loaderHash}' 'sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc=' 'strict-dynamic';` +
+          " style-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha256-MqG77yUiqBo4MMVZAl09WSafnQY4Uu3cSdZPKxaf9sQ=' 'nonce-mockedbase64string-1'";
+
+        expect(csps['index.html']).toEqual(expected);
+        done();
+      });
+    });
+
+    /**
+     * Runs a script loader against a fake document
+     * @param {string} loader - the code of the script loader
+     * @param {string} [readyState] - how far the document has been parsed
+     * @return {{appended: object[], finishParsing: function}} - the scripts added to the document so far, and a
+     *   function which fires DOMContentLoaded
+     */
+    const runScriptLoader = (loader, readyState = 'loading') => {
+      const appended = [];
+      const listeners = [];
+      const document = {
+        readyState,
+        head: {
+          appendChild: (script) => appended.push(script.attributes.src),
+        },
+        addEventListener: (type, listener) =>
+          listeners.push({ type, listener }),
+        createElement: () => ({
+          attributes: {},
+          setAttribute(name, value) {
+            this.attributes[name] = value;
+          },
+        }),
+      };
+      vm.runInNewContext(loader, { document });
+
+      return {
+        appended,
+        finishParsing: () => {
+          document.readyState = 'interactive';
+          listeners
+            .filter(({ type }) => type === 'DOMContentLoaded')
+            .forEach(({ listener }) => listener());
+        },
+      };
+    };
+
+    it('adds blocking scripts in the head straight away, and deferred scripts once the document has been parsed', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-script-and-style.html'
+          ),
+          cspPlugin: {
+            scriptLoader: true,
+          },
+        }),
+        new CspHtmlWebpackPlugin(),
+      ]);
+
+      webpackCompile(config, (csps, selectors) => {
+        const { appended, finishParsing } = runScriptLoader(
+          selectors['index.html']('script').first().html()
+        );
+        expect(appended).toEqual(['https://example.com/example.js']);
+
+        finishParsing();
+        expect(appended).toEqual([
+          'https://example.com/example.js',
+          'index.bundle.js',
+        ]);
+        done();
+      });
+    });
+
+    it('adds blocking scripts in the body once the elements before them have been parsed, before deferred scripts', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          templateContent:
+            '<html><head><script defer src="https://example.com/deferred.js"></script></head>' +
+            '<body><div id="root"></div></body></html>',
+          inject: 'body',
+          scriptLoading: 'blocking',
+          cspPlugin: {
+            scriptLoader: true,
+          },
+        }),
+        new CspHtmlWebpackPlugin(),
+      ]);
+
+      webpackCompile(config, (csps, selectors) => {
+        const loader = selectors['index.html']('script').first().html();
+        const { appended, finishParsing } = runScriptLoader(loader);
+        expect(appended).toEqual([]);
+
+        finishParsing();
+        expect(appended).toEqual([
+          'index.bundle.js',
+          'https://example.com/deferred.js',
+        ]);
+
+        // once the document has been parsed, they're added straight away
+        expect(runScriptLoader(loader, 'interactive').appended).toEqual([
+          'index.bundle.js',
+          'https://example.com/deferred.js',
+        ]);
+        done();
+      });
+    });
+
+    it('adds an error if hashes are disabled for scripts', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            scriptLoader: true,
+            hashEnabled: {
+              'script-src': false,
+            },
+          }
+        ),
+      ]);
+
+      webpackCompile(
+        config,
+        (csps, selectors, fileSystem, errors) => {
+          expect(errors).toEqual([
+            new Error(
+              'CSP: the scriptLoader option needs hashes to be enabled for script-src'
+            ),
+          ]);
+          done();
+        },
+        { expectError: true }
+      );
+    });
+  });
+
+  describe('Webpack nonce', () => {
+    /**
+     * Runs the bundle against a fake document, returning the script elements webpack's runtime adds to it
+     * @param {string} bundle - the source of the bundle
+     * @param {string} nonce - the nonce of the script the bundle is loaded by
+     * @return {object[]}
+     */
+    const runBundle = (bundle, nonce) => {
+      const appended = [];
+      const createElement = () => ({
+        attributes: {},
+        setAttribute(name, value) {
+          this.attributes[name] = value;
+        },
+      });
+      const document = {
+        currentScript: {
+          tagName: 'SCRIPT',
+          src: 'http://localhost/index.bundle.js',
+          nonce,
+        },
+        body: { innerHTML: '' },
+        head: { appendChild: (element) => appended.push(element) },
+        createElement,
+        getElementsByTagName: () => [],
+        querySelector: () => null,
+      };
+      const context = {
+        document,
+        setTimeout: () => {},
+        clearTimeout: () => {},
+      };
+      context.self = context;
+      vm.runInNewContext(bundle, context);
+      return appended;
+    };
+
+    it('sets __webpack_nonce__, so chunks loaded by the runtime get the nonce of the script which loaded it', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            webpackNonce: true,
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const bundle = fileSystem
+          .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'index.bundle.js'))
+          .toString();
+
+        expect(bundle).toContain('/* webpack/runtime/csp nonce */');
+        const [chunk] = runBundle(bundle, 'mockedbase64string-1');
+        expect(chunk.attributes.nonce).toEqual('mockedbase64string-1');
+        expect(
+          selectors['index.html']('script[src="index.bundle.js"]').attr('nonce')
+        ).toEqual('mockedbase64string-1');
+        done();
+      });
+    });
+
+    it('still sets __webpack_nonce__ when the bundle reads it, and webpack adds its own runtime for it', (done) => {
+      const config = {
+        ...createWebpackConfig([
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+          }),
+          new CspHtmlWebpackPlugin(
+            {},
+            {
+              webpackNonce: true,
+            }
+          ),
+        ]),
+        entry: path.join(
+          __dirname,
+          'test-utils',
+          'fixtures',
+          'with-webpack-nonce.js'
+        ),
+      };
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const bundle = fileSystem
+          .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'index.bundle.js'))
+          .toString();
+
+        const [chunk] = runBundle(bundle, 'mockedbase64string-1');
+        expect(chunk.attributes.nonce).toEqual('mockedbase64string-1');
+        done();
+      });
+    });
+
+    it("doesn't change the runtime by default", (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const bundle = fileSystem
+          .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'index.bundle.js'))
+          .toString();
+
+        expect(bundle).not.toContain('/* webpack/runtime/csp nonce */');
+        const [chunk] = runBundle(bundle, 'mockedbase64string-1');
+        expect(chunk.attributes.nonce).toBeUndefined();
+        done();
+      });
+    });
+  });
+
+  describe('Preserving html', () => {
+    it('adds nonces to the injected tags, and splices everything else into the html without reformatting it', (done) => {
+      const template = path.join(
+        __dirname,
+        'test-utils',
+        'fixtures',
+        'with-unusual-markup.html'
+      );
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template,
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            preserveHtml: true,
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const policy =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha256-WUmGRw8ISrDE9fNZNpNujDRjkNAxqElULvMxytx7r6A=' 'nonce-mockedbase64string-1';" +
+          " style-src 'unsafe-inline' 'self' 'unsafe-eval' 'nonce-mockedbase64string-2'";
+        const expected = fs
+          .readFileSync(template, 'utf8')
+          .replace('content=""', `content="${policy}"`)
+          .replace(
+            "href='https://example.com/example.css'>",
+            'href=\'https://example.com/example.css\' nonce="mockedbase64string-2">'
+          )
+          .replace(
+            '</head>',
+            '<script defer src="index.bundle.js" nonce="mockedbase64string-1"></script></head>'
+          );
+
+        expect(
+          fileSystem
+            .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'index.html'))
+            .toString()
+        ).toEqual(expected);
+        done();
+      });
+    });
+
+    it('inserts the meta tag at the start of the head if the template has none', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-no-meta-tag.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            preserveHtml: true,
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        expect(
+          fileSystem
+            .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'index.html'))
+            .toString()
+        ).toContain(
+          `<head><meta http-equiv="Content-Security-Policy" content="${csps['index.html']}">\n    <meta name="author" content="Slack">`
+        );
+        done();
+      });
+    });
+
+    it('splices the changes a processFn makes to the document into the html when it serialises it', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-unusual-markup.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            preserveHtml: true,
+            processFn: (builtPolicy, htmlPluginData, $) => {
+              $('meta[http-equiv="Content-Security-Policy"]').remove();
+              $('input').removeAttr('disabled').attr('name', 'agree');
+              $('html').attr('lang', 'fr');
+              // eslint-disable-next-line no-param-reassign
+              htmlPluginData.html = $.html();
+            },
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const html = fileSystem
+          .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'index.html'))
+          .toString();
+
+        expect(html).toContain('  <meta charset=utf-8 />\n  \n  <TITLE>');
+        expect(html).toContain('<html lang="fr">\n<head>');
+        expect(html).toContain(
+          '<input type=checkbox checked name="agree">\n  <p class=\'a\'   id="b">Text &amp; more<br></p>'
+        );
+        done();
+      });
+    });
+
+    it('rewrites only the attribute that changed, however the other attributes are quoted', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-quoted-attributes.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            preserveHtml: true,
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        expect(
+          fileSystem
+            .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'index.html'))
+            .toString()
+        ).toContain(
+          `<meta name="x content=y" http-equiv="Content-Security-Policy" content="${csps['index.html']}">\n  <title title='a > b' data-content=content>`
+        );
+        done();
+      });
+    });
+
+    it("adds nonces to the tags a template writes itself when HtmlWebpackPlugin doesn't inject them", (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          templateContent:
+            '<html><head><meta http-equiv="Content-Security-Policy" content=""></head>' +
+            '<body><script src="index.bundle.js"></script></body></html>',
+          inject: false,
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            preserveHtml: true,
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors) => {
+        expect(selectors['index.html']('script').attr('nonce')).toEqual(
+          'mockedbase64string-1'
+        );
+        expect(csps['index.html']).toContain(
+          "script-src 'unsafe-inline' 'self' 'unsafe-eval' 'nonce-mockedbase64string-1';"
+        );
+        done();
+      });
+    });
+  });
+
+  describe('Caching', () => {
+    /**
+     * Builds the config twice with the same compiler, like a watch mode rebuild, collecting the infrastructure log
+     * HtmlWebpackPlugin's cache has to be turned off, or it skips html files whose template and assets haven't changed
+     * @param {object[]} plugins - the plugins to build with
+     * @param {function} callbackFn - called with the html of each build, the log and the warnings of the second build
+     */
+    const buildTwice = (plugins, callbackFn) => {
+      const compiler = webpack({
+        ...createWebpackConfig(plugins),
+        cache: { type: 'memory' },
+      });
+      const fileSystem = new MemoryFs();
+      const logs = [];
+      compiler.outputFileSystem = fileSystem;
+      compiler.hooks.infrastructureLog.tap('test', (origin, type, args) => {
+        if (origin !== 'CspHtmlWebpackPlugin') {
+          return undefined;
+        }
+        logs.push(...args);
+        return true;
+      });
+
+      const readHtml = () =>
+        fileSystem
+          .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'index.html'))
+          .toString();
+      compiler.run((firstErr) => {
+        expect(firstErr).toBeFalsy();
+        const firstHtml = readHtml();
+        expect(logs).toEqual([]);
+
+        compiler.run((secondErr, stats) => {
+          expect(secondErr).toBeFalsy();
+          callbackFn(firstHtml, readHtml(), logs, stats.compilation.warnings);
+        });
+      });
+    };
+
+    /**
+     * Swaps the nonces created by the first build for the ones created by the second, which follow on from them
+     * @param {string} html
+     * @return {string}
+     */
+    const withSecondBuildNonces = (html) =>
+      html.replace(
+        /mockedbase64string-(\d)/g,
+        (match, i) => `mockedbase64string-${Number(i) + 3}`
+      );
+
+    [false, true].forEach((preserveHtml) => {
+      it(`reuses the policy and html for unchanged html files when rebuilding, with fresh nonces${
+        preserveHtml ? ', when preserving the html' : ''
+      }`, (done) => {
+        buildTwice(
+          [
+            new HtmlWebpackPlugin({
+              filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+              cache: false,
+              template: path.join(
+                __dirname,
+                'test-utils',
+                'fixtures',
+                'with-script-and-style.html'
+              ),
+            }),
+            new CspHtmlWebpackPlugin({}, { preserveHtml }),
+          ],
+          (firstHtml, secondHtml, logs) => {
+            expect(logs).toEqual([
+              'index.html: unchanged, so the cached policy and html were reused',
+            ]);
+
+            // each build creates its own nonces, in the same places
+            expect(firstHtml).toContain("'nonce-mockedbase64string-3'");
+            expect(firstHtml).not.toContain('mockedbase64string-4');
+            expect(secondHtml).not.toContain('mockedbase64string-3');
+            expect(secondHtml).toEqual(withSecondBuildNonces(firstHtml));
+            expect(secondHtml).not.toContain('CSP_CACHED_NONCE');
+            expect(crypto.randomBytes).toHaveBeenCalledTimes(6);
+            done();
+          }
+        );
+      });
+    });
+
+    it('still reports problems with the policy when the output comes from the cache', (done) => {
+      buildTwice(
+        [
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+            cache: false,
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+          }),
+          new CspHtmlWebpackPlugin(
+            {},
+            {
+              reportOnlyPolicy: {
+                'script-src': "'self'",
+              },
+            }
+          ),
+        ],
+        (firstHtml, secondHtml, logs, warnings) => {
+          expect(logs.length).toEqual(1);
+          expect(warnings).toEqual([
+            new Error(
+              'CSP: a report-only policy was defined for index.html, but it can only be delivered as a header. Use the headerOutput, manifest or processFn options to output it'
+            ),
+          ]);
+          done();
+        }
+      );
+    });
+
+    it('runs a custom processFn on every build', (done) => {
+      const processFn = jest.fn();
+      buildTwice(
+        [
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+            cache: false,
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+          }),
+          new CspHtmlWebpackPlugin({}, { processFn }),
+        ],
+        (firstHtml, secondHtml, logs) => {
+          expect(processFn).toHaveBeenCalledTimes(2);
+          expect(logs).toEqual([]);
+          done();
+        }
+      );
+    });
+  });
+
+  describe('Multiple hashing methods', () => {
+    it('keeps hash() returning a single hash, and returns every hash from hashAll()', () => {
+      const plugin = new CspHtmlWebpackPlugin(
+        {},
+        {
+          hashingMethod: {
+            'script-src': ['sha384', 'sha256'],
+            'style-src': 'sha512',
+          },
+        }
+      );
+      const [sha256, sha384, sha512] = ['sha256', 'sha384', 'sha512'].map(
+        (method) =>
+          `'${method}-${crypto
+            .createHash(method)
+            .update('body {}')
+            .digest('base64')}'`
+      );
+
+      expect(plugin.hash('body {}')).toEqual(sha384);
+      expect(plugin.hash('body {}', 'sha256')).toEqual(sha256);
+      expect(plugin.hashAll('body {}', 'script-src-elem')).toEqual([
+        sha384,
+        sha256,
+      ]);
+      expect(plugin.hashAll('body {}', 'style-src-attr')).toEqual([sha512]);
+    });
+
+    it('adds a hash for each hashing method in a list', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-script-and-style.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            hashingMethod: ['sha256', 'sha384'],
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps) => {
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc=' 'sha384-I8j99RwEV9SFO6EKWmKLpw3VxsvfabPoUJPZMFL1WWGjVShwX4YDWuJfq5+077jO' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2';" +
+          " style-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha256-MqG77yUiqBo4MMVZAl09WSafnQY4Uu3cSdZPKxaf9sQ=' 'sha384-3P+ddXxfmvvtbEUrdZKBMTjmKpirnUElgB2vlkVZ4l6LCQYHCIyFMLp+OKTIR6ob' 'nonce-mockedbase64string-3'";
+
+        expect(csps['index.html']).toEqual(expected);
+        done();
+      });
+    });
+
+    it('uses the hashing methods set for each directive, falling back to sha256', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-script-and-style.html'
+          ),
+        }),
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'other.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-script-and-style.html'
+          ),
+          cspPlugin: {
+            nonceEnabled: {
+              'script-src': false,
+              'style-src': false,
+            },
+          },
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            hashingMethod: (htmlPluginData) =>
+              htmlPluginData.outputName === 'index.html'
+                ? {
+                    'script-src': ['sha256', 'sha384'],
+                    'style-src': 'sha512',
+                  }
+                : { 'style-src-elem': 'sha384' },
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps) => {
+        expect(csps['index.html']).toEqual(
+          "base-uri 'self';" +
+            " object-src 'none';" +
+            " script-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc=' 'sha384-I8j99RwEV9SFO6EKWmKLpw3VxsvfabPoUJPZMFL1WWGjVShwX4YDWuJfq5+077jO' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2';" +
+            " style-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha512-qFkNGboU8O+fnzjqV9DbZ9cTRj3ol1C0owenrDTEzH42u6KksDWjc+5kR+nGbbh+RJtdtJ+ZY88rXoVDfUTilg==' 'nonce-mockedbase64string-3'"
+        );
+        expect(csps['other.html']).toEqual(
+          "base-uri 'self';" +
+            " object-src 'none';" +
+            " script-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc=';" +
+            " style-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha384-3P+ddXxfmvvtbEUrdZKBMTjmKpirnUElgB2vlkVZ4l6LCQYHCIyFMLp+OKTIR6ob'"
+        );
+        done();
+      });
+    });
+
+    it('adds every digest to integrity attributes', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'script-src': "'self'",
+          },
+          {
+            hashingMethod: ['sha256', 'sha512'],
+            integrityEnabled: {
+              'script-src': true,
+            },
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const bundle = fileSystem.readFileSync(
+          path.join(WEBPACK_OUTPUT_DIR, 'index.bundle.js')
+        );
+        const [sha256, sha512] = ['sha256', 'sha512'].map(
+          (method) =>
+            `${method}-${crypto
+              .createHash(method)
+              .update(bundle)
+              .digest('base64')}`
+        );
+
+        expect(selectors['index.html']('script').attr('integrity')).toEqual(
+          `${sha256} ${sha512}`
+        );
+        expect(csps['index.html']).toContain(
+          `script-src 'self' '${sha256}' '${sha512}';`
+        );
+        done();
+      });
+    });
+  });
+
+  describe('Plugin enabled check', () => {
+    it("doesn't modify the html if enabled is the bool false", (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-no-meta-tag.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            enabled: false,
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors) => {
+        expect(csps['index.html']).toBeUndefined();
+        expect(selectors['index.html']('meta').length).toEqual(1);
+        done();
+      });
+    });
+
+    it("doesn't modify the html if the `cspPlugin.enabled` option in HtmlWebpack Plugin is false", (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-no-meta-tag.html'
+          ),
+          cspPlugin: {
+            enabled: false,
+          },
+        }),
+        new CspHtmlWebpackPlugin(),
+      ]);
+
+      webpackCompile(config, (csps, selectors) => {
+        expect(csps['index.html']).toBeUndefined();
+        expect(selectors['index.html']('meta').length).toEqual(1);
+        done();
+      });
+    });
+
+    it("doesn't modify the html if enabled is a function which return false", (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-no-meta-tag.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            enabled: () => false,
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors) => {
+        expect(csps['index.html']).toBeUndefined();
+        expect(selectors['index.html']('meta').length).toEqual(1);
+        done();
+      });
+    });
+
+    it("doesn't modify html from the HtmlWebpackPlugin instance which has been disabled", (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-enabled.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-no-meta-tag.html'
+          ),
+        }),
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-disabled.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-no-meta-tag.html'
+          ),
+          cspPlugin: {
+            enabled: false,
+          },
+        }),
+        new CspHtmlWebpackPlugin(),
+      ]);
+
+      webpackCompile(config, (csps, selectors) => {
+        expect(csps['index-enabled.html']).toBeDefined();
+        expect(csps['index-disabled.html']).toBeUndefined();
+        expect(selectors['index-enabled.html']('meta').length).toEqual(2);
+        expect(selectors['index-disabled.html']('meta').length).toEqual(1);
+        done();
+      });
+    });
+  });
+
+  describe('Meta tag', () => {
+    it('still adds the CSP policy into the CSP meta tag even if the content attribute is missing', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-no-content-attr.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(),
+      ]);
+
+      webpackCompile(config, (csps) => {
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'unsafe-inline' 'self' 'unsafe-eval' 'nonce-mockedbase64string-1';" +
+          " style-src 'unsafe-inline' 'self' 'unsafe-eval'";
+
+        expect(csps['index.html']).toEqual(expected);
+        done();
+      });
+    });
+
+    it('adds meta tag with completed policy when no meta tag is specified', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-no-meta-tag.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(),
+      ]);
+
+      webpackCompile(config, (csps) => {
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'unsafe-inline' 'self' 'unsafe-eval' 'nonce-mockedbase64string-1';" +
+          " style-src 'unsafe-inline' 'self' 'unsafe-eval'";
+
+        expect(csps['index.html']).toEqual(expected);
+        done();
+      });
+    });
+
+    it('adds meta tag with completed policy when no template is specified', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+        }),
+        new CspHtmlWebpackPlugin(),
+      ]);
+
+      webpackCompile(config, (csps) => {
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'unsafe-inline' 'self' 'unsafe-eval' 'nonce-mockedbase64string-1';" +
+          " style-src 'unsafe-inline' 'self' 'unsafe-eval'";
+
+        expect(csps['index.html']).toEqual(expected);
+        done();
+      });
+    });
+
+    it("adds the meta tag as the top most meta tag to ensure that the CSP is defined before we try loading any other scripts, if it doesn't exist", (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-script-and-style.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(),
+      ]);
+
+      webpackCompile(config, (csps, selectors) => {
+        const $ = selectors['index.html'];
+        const metaTags = $('meta');
+
+        expect(metaTags[0].attribs['http-equiv']).toEqual(
+          'Content-Security-Policy'
+        );
+
+        done();
+      });
+    });
+  });
+
+  describe('Custom process function', () => {
+    it('Allows the process function to be overwritten', (done) => {
+      const processFn = jest.fn();
+      const builtPolicy = `base-uri 'self'; object-src 'none'; script-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc=' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2'; style-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha256-MqG77yUiqBo4MMVZAl09WSafnQY4Uu3cSdZPKxaf9sQ=' 'nonce-mockedbase64string-3'`;
+
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-script-and-style.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            processFn,
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps) => {
+        // we've overwritten the default processFn, which writes the policy into the html file
+        // so it won't exist in this object anymore.
+        expect(csps['index.html']).toBeUndefined();
+
+        // The processFn should receive the built policy as it's first arg
+        expect(processFn).toHaveBeenCalledWith(
+          builtPolicy,
+          expect.anything(),
+          expect.anything(),
+          expect.anything(),
+          expect.anything(),
+          {
+            metaPolicy: builtPolicy,
+            headerOnlyPolicy: '',
+          }
+        );
+
+        done();
+      });
+    });
+
+    it('only overwrites the processFn for the HtmlWebpackInstance where it has been defined', (done) => {
+      const processFn = jest.fn();
+      const index1BuiltPolicy = `base-uri 'self'; object-src 'none'; script-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc=' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2'; style-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha256-MqG77yUiqBo4MMVZAl09WSafnQY4Uu3cSdZPKxaf9sQ=' 'nonce-mockedbase64string-3'`;
+      const index2BuiltPolicy = `base-uri 'self'; object-src 'none'; script-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc=' 'nonce-mockedbase64string-4' 'nonce-mockedbase64string-5'; style-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha256-MqG77yUiqBo4MMVZAl09WSafnQY4Uu3cSdZPKxaf9sQ=' 'nonce-mockedbase64string-6'`;
+
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-1.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-script-and-style.html'
+          ),
+          cspPlugin: {
+            processFn,
+          },
+        }),
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-2.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-script-and-style.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(),
+      ]);
+
+      webpackCompile(config, (csps) => {
+        // it won't exist in the html file since we overwrote processFn
+        expect(csps['index-1.html']).toBeUndefined();
+        // processFn wasn't overwritten here, so this should be added to the html file as normal
+        expect(csps['index-2.html']).toEqual(index2BuiltPolicy);
+
+        // index-1.html should have used our custom function defined
+        expect(processFn).toHaveBeenCalledWith(
+          index1BuiltPolicy,
+          expect.anything(),
+          expect.anything(),
+          expect.anything(),
+          expect.anything(),
+          {
+            metaPolicy: index1BuiltPolicy,
+            headerOnlyPolicy: '',
+          }
+        );
+
+        done();
+      });
+    });
+
+    it('Allows to generate a file containing the policy', (done) => {
+      function generateCSPFile(
+        builtPolicy,
+        _htmlPluginData,
+        _obj,
+        compilation
+      ) {
+        compilation.emitAsset('csp.conf', new RawSource(builtPolicy));
+      }
+      const index1BuiltPolicy = `base-uri 'self'; object-src 'none'; script-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc=' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2'; style-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha256-MqG77yUiqBo4MMVZAl09WSafnQY4Uu3cSdZPKxaf9sQ=' 'nonce-mockedbase64string-3'`;
+
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-1.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-script-and-style.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            processFn: generateCSPFile,
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const cspFileContent = fileSystem
+          .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'csp.conf'), 'utf8')
+          .toString();
+
+        // it won't exist in the html file since we overwrote processFn
+        expect(csps['index-1.html']).toBeUndefined();
+
+        // A file has been generated
+        expect(cspFileContent).toEqual(index1BuiltPolicy);
+
+        done();
+      });
+    });
+  });
+
+  describe('Header output', () => {
+    it('throws an error if an invalid header output format is used', () => {
+      expect(() => {
+        // eslint-disable-next-line no-new
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            headerOutput: 'invalid',
+          }
+        );
+      }).toThrow(new Error(`'invalid' is not a valid header output format`));
+    });
+
+    it('generates an nginx config file containing the built policy for each html file', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'about.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'script-src': "'self'",
+            'style-src': "'self'",
+          },
+          {
+            headerOutput: 'nginx',
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const nginxConfig = fileSystem
+          .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'csp-headers.conf'))
+          .toString();
+
+        // the meta tag is still generated
+        expect(csps['index.html']).toEqual(
+          "base-uri 'self'; object-src 'none'; script-src 'self' 'nonce-mockedbase64string-1'; style-src 'self'"
+        );
+
+        expect(nginxConfig).toEqual(
+          [
+            'location = / {',
+            `  add_header Content-Security-Policy "base-uri 'self'; object-src 'none'; script-src 'self' 'nonce-mockedbase64string-1'; style-src 'self'" always;`,
+            '}',
+            '',
+            'location = /index.html {',
+            `  add_header Content-Security-Policy "base-uri 'self'; object-src 'none'; script-src 'self' 'nonce-mockedbase64string-1'; style-src 'self'" always;`,
+            '}',
+            '',
+            'location = /about.html {',
+            `  add_header Content-Security-Policy "base-uri 'self'; object-src 'none'; script-src 'self' 'nonce-mockedbase64string-2'; style-src 'self'" always;`,
+            '}',
+          ].join('\n')
+        );
+
+        done();
+      });
+    });
+
+    it('generates apache, netlify, vercel and firebase config files, honouring custom filenames', (done) => {
+      const builtPolicy =
+        "base-uri 'self'; object-src 'none'; script-src 'self' 'nonce-mockedbase64string-1'; style-src 'self'";
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'docs', 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'script-src': "'self'",
+            'style-src': "'self'",
+          },
+          {
+            headerOutput: [
+              'apache',
+              { format: 'netlify', filename: 'netlify-headers' },
+              'vercel',
+              'firebase',
+            ],
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const readOutput = (file) =>
+          fileSystem
+            .readFileSync(path.join(WEBPACK_OUTPUT_DIR, file))
+            .toString();
+
+        expect(readOutput('.htaccess')).toEqual(
+          [
+            `<If "%{REQUEST_URI} -in {'/docs/', '/docs/index.html'}">`,
+            `  Header always set Content-Security-Policy "${builtPolicy}"`,
+            '</If>',
+          ].join('\n')
+        );
+
+        expect(readOutput('netlify-headers')).toEqual(
+          [
+            '/docs/',
+            `  Content-Security-Policy: ${builtPolicy}`,
+            '',
+            '/docs/index.html',
+            `  Content-Security-Policy: ${builtPolicy}`,
+          ].join('\n')
+        );
+
+        const headers = ['/docs/', '/docs/index.html'].map((source) => ({
+          source,
+          headers: [{ key: 'Content-Security-Policy', value: builtPolicy }],
+        }));
+        expect(JSON.parse(readOutput('vercel.json'))).toEqual({ headers });
+        expect(JSON.parse(readOutput('firebase.json'))).toEqual({
+          hosting: { headers },
+        });
+
+        done();
+      });
+    });
+
+    it("doesn't generate header config files for html files where the plugin is disabled", (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+          cspPlugin: {
+            enabled: false,
+          },
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            headerOutput: 'netlify',
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        expect(fileSystem.readdirSync(WEBPACK_OUTPUT_DIR)).not.toContain(
+          '_headers'
+        );
+        done();
+      });
+    });
+  });
+
+  describe('Report-only policy', () => {
+    it('builds the report-only policy with the same hashes and nonces as the enforced policy, and outputs it as a header', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'about.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-script-and-style.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            headerOutput: 'netlify',
+            reportOnlyPolicy: {
+              'script-src': "'self'",
+              'style-src': "'self'",
+            },
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const netlifyHeaders = fileSystem
+          .readFileSync(path.join(WEBPACK_OUTPUT_DIR, '_headers'))
+          .toString();
+
+        // the enforced policy is still added to the meta tag
+        expect(csps['about.html']).toEqual(
+          "base-uri 'self';" +
+            " object-src 'none';" +
+            " script-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc=' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2';" +
+            " style-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha256-MqG77yUiqBo4MMVZAl09WSafnQY4Uu3cSdZPKxaf9sQ=' 'nonce-mockedbase64string-3'"
+        );
+
+        expect(netlifyHeaders).toEqual(
+          [
+            '/about.html',
+            `  Content-Security-Policy: ${csps['about.html']}`,
+            "  Content-Security-Policy-Report-Only: script-src 'self' 'sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc=' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2'; style-src 'self' 'sha256-MqG77yUiqBo4MMVZAl09WSafnQY4Uu3cSdZPKxaf9sQ=' 'nonce-mockedbase64string-3'",
+          ].join('\n')
+        );
+
+        done();
+      });
+    });
+
+    it('merges the HtmlWebpackPlugin report-only policy over the CspHtmlWebpackPlugin one, and passes the headers into processFn', (done) => {
+      const processFn = jest.fn();
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-1.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+          cspPlugin: {
+            reportOnlyPolicy: {
+              'script-src': "'none'",
+            },
+          },
+        }),
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-2.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+          cspPlugin: {
+            reportOnlyPolicy: false,
+          },
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'script-src': "'self'",
+            'style-src': "'self'",
+          },
+          {
+            processFn,
+            reportOnlyPolicy: {
+              'default-src': "'self'",
+              'script-src': "'self'",
+            },
+          }
+        ),
+      ]);
+
+      webpackCompile(config, () => {
+        expect(processFn).toHaveBeenCalledTimes(2);
+        expect(processFn.mock.calls[0][4]).toEqual({
+          'Content-Security-Policy':
+            "base-uri 'self'; object-src 'none'; script-src 'self' 'nonce-mockedbase64string-1'; style-src 'self'",
+          'Content-Security-Policy-Report-Only':
+            "default-src 'self'; script-src 'none' 'nonce-mockedbase64string-1'",
+        });
+        // the report-only policy has been turned off for this instance
+        expect(processFn.mock.calls[1][4]).toEqual({
+          'Content-Security-Policy':
+            "base-uri 'self'; object-src 'none'; script-src 'self' 'nonce-mockedbase64string-2'; style-src 'self'",
+        });
+
+        done();
+      });
+    });
+
+    it('adds a nonce if the host has only been whitelisted in one of the policies', (done) => {
+      const config = createWebpackConfig(
+        [
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+          }),
+          new CspHtmlWebpackPlugin(
+            {
+              'script-src': ["'self'", 'https://my.cdn.com'],
+            },
+            {
+              headerOutput: 'netlify',
+              reportOnlyPolicy: {
+                'script-src': "'self'",
+              },
+            }
+          ),
+        ],
+        'https://my.cdn.com/'
+      );
+
+      webpackCompile(config, (csps, selectors) => {
+        const $ = selectors['index.html'];
+        expect($('script')[0].attribs.nonce).toEqual('mockedbase64string-1');
+        done();
+      });
+    });
+
+    it('warns if the report-only policy is only being written into the meta tag', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            reportOnlyPolicy: {
+              'script-src': "'self'",
+            },
+          }
+        ),
+      ]);
+
+      webpackCompile(
+        config,
+        (_1, _2, _3, errors, warnings) => {
+          expect(errors).toEqual([]);
+          expect(warnings).toEqual([
+            new Error(
+              'CSP: a report-only policy was defined for index.html, but it can only be delivered as a header. Use the headerOutput, manifest or processFn options to output it'
+            ),
+          ]);
+          done();
+        },
+        {
+          expectError: true,
+        }
+      );
+    });
+  });
+
+  describe('Reporting', () => {
+    it('adds report-uri and report-to directives to every policy, and outputs the Reporting-Endpoints header', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'script-src': "'self'",
+            'style-src': "'self'",
+          },
+          {
+            headerOutput: 'netlify',
+            reportOnlyPolicy: {
+              'script-src': "'none'",
+            },
+            reporting: {
+              endpoints: {
+                'csp-endpoint': 'https://example.com/csp-reports',
+                default: '/reports',
+              },
+            },
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const netlifyHeaders = fileSystem
+          .readFileSync(path.join(WEBPACK_OUTPUT_DIR, '_headers'))
+          .toString();
+
+        expect(netlifyHeaders).toEqual(
+          [
+            '/',
+            "  Content-Security-Policy: base-uri 'self'; object-src 'none'; script-src 'self' 'nonce-mockedbase64string-1'; style-src 'self'; report-uri https://example.com/csp-reports; report-to csp-endpoint",
+            '  Reporting-Endpoints: csp-endpoint="https://example.com/csp-reports", default="/reports"',
+            "  Content-Security-Policy-Report-Only: script-src 'none' 'nonce-mockedbase64string-1'; report-uri https://example.com/csp-reports; report-to csp-endpoint",
+            '',
+            '/index.html',
+            "  Content-Security-Policy: base-uri 'self'; object-src 'none'; script-src 'self' 'nonce-mockedbase64string-1'; style-src 'self'; report-uri https://example.com/csp-reports; report-to csp-endpoint",
+            '  Reporting-Endpoints: csp-endpoint="https://example.com/csp-reports", default="/reports"',
+            "  Content-Security-Policy-Report-Only: script-src 'none' 'nonce-mockedbase64string-1'; report-uri https://example.com/csp-reports; report-to csp-endpoint",
+          ].join('\n')
+        );
+
+        done();
+      });
+    });
+
+    it('uses the reportTo endpoint, omits report-uri if disabled, and allows a HtmlWebpackPlugin instance to override the endpoints', (done) => {
+      const processFn = jest.fn();
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-1.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-2.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+          cspPlugin: {
+            reporting: false,
+          },
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'script-src': "'self'",
+            'style-src': "'self'",
+          },
+          {
+            processFn,
+            reporting: {
+              endpoints: {
+                main: 'https://example.com/main',
+                csp: 'https://example.com/csp',
+              },
+              reportTo: 'csp',
+              reportUri: false,
+            },
+          }
+        ),
+      ]);
+
+      webpackCompile(config, () => {
+        expect(processFn.mock.calls[0][4]).toEqual({
+          'Content-Security-Policy':
+            "base-uri 'self'; object-src 'none'; script-src 'self' 'nonce-mockedbase64string-1'; style-src 'self'; report-to csp",
+          'Reporting-Endpoints':
+            'main="https://example.com/main", csp="https://example.com/csp"',
+        });
+        expect(processFn.mock.calls[1][4]).toEqual({
+          'Content-Security-Policy':
+            "base-uri 'self'; object-src 'none'; script-src 'self' 'nonce-mockedbase64string-2'; style-src 'self'",
+        });
+
+        done();
+      });
+    });
+
+    it('adds an error for invalid endpoint names and urls, and an unknown reportTo endpoint', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            processFn: jest.fn(),
+            reporting: {
+              endpoints: {
+                Endpoint: 'https://example.com/csp',
+                insecure: 'http://example.com/csp',
+                missingScheme: 'example.com/csp',
+              },
+              reportTo: 'unknown',
+            },
+          }
+        ),
+      ]);
+
+      webpackCompile(
+        config,
+        (_1, _2, _3, errors) => {
+          expect(errors).toEqual([
+            new Error(
+              'CSP: reporting endpoint name Endpoint should only contain lowercase letters, digits, _, -, . and *'
+            ),
+            new Error(
+              'CSP: reporting endpoint insecure has an invalid url http://example.com/csp. It should be a relative path, or an https url'
+            ),
+            new Error(
+              'CSP: reporting endpoint name missingScheme should only contain lowercase letters, digits, _, -, . and *'
+            ),
+            new Error(
+              'CSP: reporting endpoint missingScheme has an invalid url example.com/csp. It should be a relative path, or an https url'
+            ),
+            new Error(
+              "CSP: reporting.reportTo is set to unknown, which isn't one of the reporting endpoints defined"
+            ),
+          ]);
+          done();
+        },
+        {
+          expectError: true,
+        }
+      );
+    });
+
+    it('warns if reporting directives are only being delivered in the meta tag', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin({
+          'report-uri': '/csp-reports',
+        }),
+      ]);
+
+      webpackCompile(
+        config,
+        (_1, _2, _3, errors, warnings) => {
+          expect(errors).toEqual([]);
+          expect(warnings).toEqual([
+            new Error(
+              'CSP: report-uri and report-to are ignored by browsers when the policy is delivered in a meta tag. Use the headerOutput, manifest or processFn options to deliver the policy as a header'
+            ),
+          ]);
+          done();
+        },
+        {
+          expectError: true,
+        }
+      );
+    });
+  });
+
+  describe('Header-only directives', () => {
+    it('leaves frame-ancestors and sandbox out of the meta tag, and warns if the policy is only delivered in it', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin({
+          'frame-ancestors': "'none'",
+          'script-src': "'self'",
+          sandbox: 'allow-scripts',
+          'style-src': "'self'",
+        }),
+      ]);
+
+      webpackCompile(
+        config,
+        (csps, _2, _3, errors, warnings) => {
+          expect(csps['index.html']).toEqual(
+            "base-uri 'self'; object-src 'none'; script-src 'self' 'nonce-mockedbase64string-1'; style-src 'self'"
+          );
+          expect(errors).toEqual([]);
+          expect(warnings).toEqual([
+            new Error(
+              'CSP: frame-ancestors and sandbox are ignored by browsers when the policy is delivered in a meta tag, so they have been left out of it. Use the headerOutput, manifest or processFn options to deliver the policy as a header'
+            ),
+          ]);
+          done();
+        },
+        {
+          expectError: true,
+        }
+      );
+    });
+
+    it('keeps the header-only directives in the header output, and passes them to the processFn', (done) => {
+      const processFn = jest.fn();
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'about.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+          cspPlugin: {
+            processFn,
+          },
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'frame-ancestors': "'self'",
+            'script-src': "'self'",
+            'style-src': "'self'",
+          },
+          {
+            headerOutput: 'netlify',
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const netlifyConfig = fileSystem
+          .readFileSync(path.join(WEBPACK_OUTPUT_DIR, '_headers'))
+          .toString();
+
+        expect(csps['index.html']).toEqual(
+          "base-uri 'self'; object-src 'none'; script-src 'self' 'nonce-mockedbase64string-1'; style-src 'self'"
+        );
+        expect(netlifyConfig).toContain(
+          "  Content-Security-Policy: base-uri 'self'; object-src 'none'; script-src 'self' 'nonce-mockedbase64string-1'; style-src 'self'; frame-ancestors 'self'"
+        );
+        expect(processFn.mock.calls[0][5]).toEqual({
+          metaPolicy:
+            "base-uri 'self'; object-src 'none'; script-src 'self' 'nonce-mockedbase64string-2'; style-src 'self'",
+          headerOnlyPolicy: "frame-ancestors 'self'",
+        });
+        done();
+      });
+    });
+  });
+
+  describe('Nonce scope and format', () => {
+    it('throws an error if an invalid nonce scope, byte length or encoding is used', () => {
+      expect(() => {
+        // eslint-disable-next-line no-new
+        new CspHtmlWebpackPlugin({}, { nonceScope: 'invalid' });
+      }).toThrow(new Error(`'invalid' is not a valid nonce scope`));
+
+      expect(() => {
+        // eslint-disable-next-line no-new
+        new CspHtmlWebpackPlugin({}, { nonceByteLength: 8 });
+      }).toThrow(
+        new Error(
+          `'8' is not a valid nonce byte length. Nonces need at least 16 bytes`
+        )
+      );
+
+      expect(() => {
+        // eslint-disable-next-line no-new
+        new CspHtmlWebpackPlugin({}, { nonceEncoding: 'utf8' });
+      }).toThrow(new Error(`'utf8' is not a valid nonce encoding`));
+    });
+
+    it('shares a single nonce between every element in a document, listing it once in each directive', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-script-and-style.html'
+          ),
+        }),
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'about.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'script-src': "'self'",
+            'style-src': "'self'",
+          },
+          {
+            nonceScope: 'document',
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors) => {
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'self' 'sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc=' 'nonce-mockedbase64string-1';" +
+          " style-src 'self' 'sha256-MqG77yUiqBo4MMVZAl09WSafnQY4Uu3cSdZPKxaf9sQ=' 'nonce-mockedbase64string-1'";
+
+        expect(csps['index.html']).toEqual(expected);
+        selectors['index.html']('[nonce]').each((i, element) => {
+          expect(element.attribs.nonce).toEqual('mockedbase64string-1');
+        });
+
+        // each document gets its own nonce
+        expect(csps['about.html']).toEqual(
+          "base-uri 'self'; object-src 'none'; script-src 'self' 'nonce-mockedbase64string-2'; style-src 'self'"
+        );
+        done();
+      });
+    });
+
+    it('creates nonces with the byte length and encoding configured', (done) => {
+      crypto.randomBytes.mockReset();
+      crypto.randomBytes.mockImplementation((size) => Buffer.alloc(size, 0xfb));
+
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'script-src': "'self'",
+          },
+          {
+            nonceByteLength: 18,
+            nonceEncoding: 'base64url',
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps) => {
+        expect(crypto.randomBytes).toHaveBeenCalledWith(18);
+        expect(csps['index.html']).toContain(
+          "script-src 'self' 'nonce--_v7-_v7-_v7-_v7-_v7-_v7'"
+        );
+        done();
+      });
+    });
+  });
+
+  describe('Nonce placeholders', () => {
+    it('throws an error if an invalid nonce mode is used', () => {
+      expect(() => {
+        // eslint-disable-next-line no-new
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            nonceMode: 'invalid',
+          }
+        );
+      }).toThrow(new Error(`'invalid' is not a valid nonce mode`));
+    });
+
+    it('throws an error if the nonce placeholder contains quotes or whitespace', () => {
+      expect(() => {
+        // eslint-disable-next-line no-new
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            nonceMode: 'placeholder',
+            noncePlaceholder: "{{ 'nonce' }}",
+          }
+        );
+      }).toThrow(new Error(`'{{ 'nonce' }}' is not a valid nonce placeholder`));
+    });
+
+    it('writes the placeholder into every nonce attribute, and adds it to the policy once', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-script-and-style.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'script-src': "'self'",
+            'style-src': "'self'",
+          },
+          {
+            nonceMode: 'placeholder',
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors) => {
+        const $ = selectors['index.html'];
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'self' 'sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc=' 'nonce-{{CSP_NONCE}}';" +
+          " style-src 'self' 'sha256-MqG77yUiqBo4MMVZAl09WSafnQY4Uu3cSdZPKxaf9sQ=' 'nonce-{{CSP_NONCE}}'";
+
+        expect(csps['index.html']).toEqual(expected);
+        expect($('script[src]').length).toEqual(2);
+        $('script[src], link[rel="stylesheet"]').each((i, element) => {
+          expect(element.attribs.nonce).toEqual('{{CSP_NONCE}}');
+        });
+
+        // no nonces should have been generated at build time
+        expect(crypto.randomBytes).not.toHaveBeenCalled();
+
+        done();
+      });
+    });
+
+    it('uses a custom placeholder', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'script-src': "'self'",
+            'style-src': "'self'",
+          },
+          {
+            nonceMode: 'placeholder',
+            noncePlaceholder: '__CSP_NONCE__',
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors) => {
+        const $ = selectors['index.html'];
+        expect(csps['index.html']).toEqual(
+          "base-uri 'self'; object-src 'none'; script-src 'self' 'nonce-__CSP_NONCE__'; style-src 'self'"
+        );
+        expect($('script')[0].attribs.nonce).toEqual('__CSP_NONCE__');
+        done();
+      });
+    });
+  });
+
+  describe('Manifest', () => {
+    it('generates a manifest containing the routes, headers, policies, hashes, nonces and options for every html file', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-script-and-style.html'
+          ),
+        }),
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'about.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'script-src': "'self'",
+            'style-src': "'self'",
+          },
+          {
+            manifest: true,
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const manifest = JSON.parse(
+          fileSystem
+            .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'csp-manifest.json'))
+            .toString()
+        );
+
+        const policy = {
+          'base-uri': "'self'",
+          'object-src': "'none'",
+          'script-src': "'self'",
+          'style-src': "'self'",
+        };
+        const options = {
+          hashingMethod: 'sha256',
+          hashEnabled: { 'script-src': true, 'style-src': true },
+          nonceEnabled: { 'script-src': true, 'style-src': true },
+          integrityEnabled: { 'script-src': false, 'style-src': false },
+          attributeHashes: { 'script-src': false, 'style-src': false },
+          nonceMode: 'static',
+          nonceScope: 'element',
+          nonceByteLength: 16,
+          nonceEncoding: 'base64',
+          devMode: false,
+          lint: null,
+          hostAllowlist: null,
+          trustedTypes: null,
+          reporting: null,
+          scriptLoader: false,
+        };
+
+        expect(manifest).toEqual({
+          'index.html': {
+            routes: ['/', '/index.html'],
+            headers: {
+              'Content-Security-Policy': csps['index.html'],
+            },
+            policy,
+            reportOnlyPolicy: null,
+            builtPolicy: csps['index.html'],
+            hashes: [
+              {
+                directive: 'script-src',
+                source: "'sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc='",
+                element: '<script>',
+              },
+              {
+                directive: 'style-src',
+                source: "'sha256-MqG77yUiqBo4MMVZAl09WSafnQY4Uu3cSdZPKxaf9sQ='",
+                element: '<style type="text/css">',
+              },
+            ],
+            nonces: [
+              {
+                directive: 'script-src',
+                source: "'nonce-mockedbase64string-1'",
+                element:
+                  '<script type="text/javascript" src="https://example.com/example.js" nonce="mockedbase64string-1">',
+              },
+              {
+                directive: 'script-src',
+                source: "'nonce-mockedbase64string-2'",
+                element:
+                  '<script defer="" src="index.bundle.js" nonce="mockedbase64string-2">',
+              },
+              {
+                directive: 'style-src',
+                source: "'nonce-mockedbase64string-3'",
+                element:
+                  '<link rel="stylesheet" href="https://example.com/example.css" nonce="mockedbase64string-3">',
+              },
+            ],
+            noncePlaceholder: null,
+            options,
+          },
+          'about.html': {
+            routes: ['/about.html'],
+            headers: {
+              'Content-Security-Policy': csps['about.html'],
+            },
+            policy,
+            reportOnlyPolicy: null,
+            builtPolicy: csps['about.html'],
+            hashes: [],
+            nonces: [
+              {
+                directive: 'script-src',
+                source: "'nonce-mockedbase64string-4'",
+                element:
+                  '<script defer="" src="index.bundle.js" nonce="mockedbase64string-4">',
+              },
+            ],
+            noncePlaceholder: null,
+            options,
+          },
+        });
+
+        done();
+      });
+    });
+
+    it('records the full built policy, the report-only policy and the options used for each html file', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+          cspPlugin: {
+            nonceEnabled: { 'script-src': false },
+            reportOnlyPolicy: { 'script-src': "'none'" },
+          },
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'frame-ancestors': "'none'",
+          },
+          {
+            manifest: true,
+            hashingMethod: () => 'sha384',
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const manifest = JSON.parse(
+          fileSystem
+            .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'csp-manifest.json'))
+            .toString()
+        );
+        const entry = manifest['index.html'];
+
+        // frame-ancestors is left out of the meta tag, but not the built policy
+        expect(entry.builtPolicy).toEqual(
+          `${csps['index.html']}; frame-ancestors 'none'`
+        );
+        expect(entry.policy['frame-ancestors']).toEqual("'none'");
+        expect(entry.reportOnlyPolicy).toEqual({ 'script-src': "'none'" });
+        expect(entry.nonces).toEqual([]);
+        expect(entry.options.hashingMethod).toEqual('sha384');
+        expect(entry.options.nonceEnabled).toEqual({
+          'script-src': false,
+          'style-src': true,
+        });
+        done();
+      });
+    });
+
+    it('uses a custom manifest filename, and records the nonce placeholder', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            manifest: 'csp/manifest.json',
+            nonceMode: 'placeholder',
+            reportOnlyPolicy: {
+              'script-src': "'self'",
+            },
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const manifest = JSON.parse(
+          fileSystem
+            .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'csp', 'manifest.json'))
+            .toString()
+        );
+
+        expect(manifest['index.html'].noncePlaceholder).toEqual(
+          '{{CSP_NONCE}}'
+        );
+        expect(manifest['index.html'].headers).toEqual({
+          'Content-Security-Policy': csps['index.html'],
+          'Content-Security-Policy-Report-Only':
+            "script-src 'self' 'nonce-{{CSP_NONCE}}'",
+        });
+
+        done();
+      });
+    });
+  });
+
+  describe('Integrity hashes', () => {
+    it('adds integrity attributes to scripts built by webpack, and uses their hashes instead of nonces', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-integrity.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'script-src': "'self'",
+            'style-src': "'self'",
+          },
+          {
+            integrityEnabled: {
+              'script-src': true,
+            },
+          }
+        ),
+      ]);
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const $ = selectors['index.html'];
+        const bundleHash = crypto
+          .createHash('sha256')
+          .update(
+            fileSystem.readFileSync(
+              path.join(WEBPACK_OUTPUT_DIR, 'index.bundle.js')
+            )
+          )
+          .digest('base64');
+
+        expect(csps['index.html']).toEqual(
+          "base-uri 'self';" +
+            " object-src 'none';" +
+            ` script-src 'self' 'sha256-${bundleHash}' 'nonce-mockedbase64string-1';` +
+            " style-src 'self' 'nonce-mockedbase64string-2'"
+        );
+
+        // scripts which weren't built by webpack still get a nonce
+        expect($('script')[0].attribs).toEqual({
+          src: 'https://example.com/example.js',
+          nonce: 'mockedbase64string-1',
+        });
+
+        // same origin scripts don't need to be loaded with CORS
+        expect($('script')[1].attribs).toEqual({
+          defer: '',
+          src: 'index.bundle.js',
+          integrity: `sha256-${bundleHash}`,
+        });
+
+        done();
+      });
+    });
+
+    it('uses existing integrity attributes, adds crossorigin to assets on another origin, and keeps nonces on stylesheets', (done) => {
+      const config = createWebpackConfig(
+        [
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-integrity.html'
+            ),
+          }),
+          new CspHtmlWebpackPlugin(
+            {
+              'script-src': "'self'",
+              'style-src': "'self'",
+            },
+            {
+              hashingMethod: 'sha384',
+              integrityEnabled: {
+                'script-src': true,
+                'style-src': true,
+              },
+            }
+          ),
+        ],
+        'https://my.cdn.com/'
+      );
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const $ = selectors['index.html'];
+        const bundleHash = crypto
+          .createHash('sha384')
+          .update(
+            fileSystem.readFileSync(
+              path.join(WEBPACK_OUTPUT_DIR, 'index.bundle.js')
+            )
+          )
+          .digest('base64');
+
+        expect(csps['index.html']).toEqual(
+          "base-uri 'self';" +
+            " object-src 'none';" +
+            ` script-src 'self' 'sha384-${bundleHash}' 'nonce-mockedbase64string-1';` +
+            " style-src 'self' 'nonce-mockedbase64string-2'"
+        );
+
+        // hashes don't allow stylesheets, so they're allowed by their nonce, and keep their integrity attribute
+        expect($('link')[0].attribs).toEqual({
+          rel: 'stylesheet',
+          href: 'https://example.com/example.css',
+          integrity:
+            'sha384-oqVuAfXRKap7fdgcCY5uykM6+R9GqQ8K/uxy9rx7HNQlGYl1kPzQho1wx4JwY8wC',
+          nonce: 'mockedbase64string-2',
+        });
+        expect($('script')[1].attribs).toEqual({
+          defer: '',
+          src: 'https://my.cdn.com/index.bundle.js',
+          integrity: `sha384-${bundleHash}`,
+          crossorigin: 'anonymous',
+        });
+
+        done();
+      });
+    });
+
+    it('allows integrity hashes to be enabled for a specific instance of HtmlWebpackPlugin', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-1.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+          cspPlugin: {
+            integrityEnabled: {
+              'script-src': true,
+            },
+          },
+        }),
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-2.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin({
+          'script-src': "'self'",
+          'style-src': "'self'",
+        }),
+      ]);
+
+      webpackCompile(config, (csps, selectors) => {
+        expect(
+          selectors['index-1.html']('script')[0].attribs.integrity
+        ).toMatch(/^sha256-/);
+        expect(csps['index-1.html']).not.toContain("'nonce-");
+        expect(csps['index-2.html']).toContain("'nonce-mockedbase64string-1'");
+        done();
+      });
+    });
+
+    it('hashes the scripts as they are emitted, after their real content hashes are added', (done) => {
+      const config = {
+        ...createWebpackConfig([
+          new HtmlWebpackPlugin({
+            filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+            template: path.join(
+              __dirname,
+              'test-utils',
+              'fixtures',
+              'with-nothing.html'
+            ),
+          }),
+          new CspHtmlWebpackPlugin(
+            {
+              'script-src': "'self'",
+            },
+            {
+              integrityEnabled: {
+                'script-src': true,
+              },
+              manifest: true,
+            }
+          ),
+        ]),
+        mode: 'production',
+        output: {
+          path: WEBPACK_OUTPUT_DIR,
+          filename: '[name].[contenthash].js',
+          chunkFilename: '[name].[contenthash].js',
+        },
+        optimization: { minimize: false, realContentHash: true },
+      };
+
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const src = selectors['index.html']('script').attr('src');
+        const digest = `sha256-${crypto
+          .createHash('sha256')
+          .update(fileSystem.readFileSync(path.join(WEBPACK_OUTPUT_DIR, src)))
+          .digest('base64')}`;
+
+        expect(selectors['index.html']('script').attr('integrity')).toEqual(
+          digest
+        );
+        expect(csps['index.html']).toContain(`script-src 'self' '${digest}';`);
+        const manifest = JSON.parse(
+          fileSystem
+            .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'csp-manifest.json'))
+            .toString()
+        );
+        expect(manifest['index.html'].builtPolicy).toContain(`'${digest}'`);
+        done();
+      });
+    });
+  });
+
+  describe('Attribute hashes', () => {
+    it('adds hashes of inline event handlers and style attributes to the -attr directives', (done) => {
       const config = createWebpackConfig([
         new HtmlWebpackPlugin({
           filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-inline-attributes.html'
+          ),
         }),
-        new CspHtmlWebpackPlugin(),
+        new CspHtmlWebpackPlugin(
+          {
+            'script-src': "'self'",
+            'style-src': "'self'",
+          },
+          {
+            attributeHashes: {
+              'script-src': 'attr',
+              'style-src': 'attr',
+            },
+          }
+        ),
       ]);
 
       webpackCompile(config, (csps) => {
         const expected =
           "base-uri 'self';" +
           " object-src 'none';" +
-          " script-src 'unsafe-inline' 'self' 'unsafe-eval' 'nonce-mockedbase64string-1';" +
-          " style-src 'unsafe-inline' 'self' 'unsafe-eval'";
+          " script-src 'self' 'nonce-mockedbase64string-1';" +
+          " style-src 'self';" +
+          " script-src-attr 'unsafe-hashes' 'sha256-w4ujnOpjBoH2vcasx+reJRUwYivG8Q3afx/XevGJod8=' 'sha256-15xTQOuF/OesomfBHh+sYeg4tGStBBWrw6CRoP9zLjk=';" +
+          " style-src-attr 'unsafe-hashes' 'sha256-NerDAUWfwD31YdZHveMrq0GLjsNFMwxLpZl0dPUeCcw=' 'sha256-ZdHxw9eWtnxUb3mk6tBS+gIiVUPE3pGM470keHPDFlE='";
 
         expect(csps['index.html']).toEqual(expected);
         done();
       });
     });
 
-    it("adds the meta tag as the top most meta tag to ensure that the CSP is defined before we try loading any other scripts, if it doesn't exist", (done) => {
+    it("adds hashes to the policy itself with 'unsafe-hashes' when the -attr directives aren't wanted", (done) => {
       const config = createWebpackConfig([
         new HtmlWebpackPlugin({
           filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
@@ -835,30 +4684,33 @@ describe('CspHtmlWebpackPlugin', () => {
             __dirname,
             'test-utils',
             'fixtures',
-            'with-script-and-style.html'
+            'with-inline-attributes.html'
           ),
+          cspPlugin: {
+            attributeHashes: {
+              'script-src': 'unsafe-hashes',
+            },
+          },
+        }),
+        new CspHtmlWebpackPlugin({
+          'script-src': "'self'",
+          'style-src': "'self'",
         }),
-        new CspHtmlWebpackPlugin(),
       ]);
 
-      webpackCompile(config, (csps, selectors) => {
-        const $ = selectors['index.html'];
-        const metaTags = $('meta');
-
-        expect(metaTags[0].attribs['http-equiv']).toEqual(
-          'Content-Security-Policy'
-        );
+      webpackCompile(config, (csps) => {
+        const expected =
+          "base-uri 'self';" +
+          " object-src 'none';" +
+          " script-src 'self' 'nonce-mockedbase64string-1' 'unsafe-hashes' 'sha256-w4ujnOpjBoH2vcasx+reJRUwYivG8Q3afx/XevGJod8=' 'sha256-15xTQOuF/OesomfBHh+sYeg4tGStBBWrw6CRoP9zLjk=';" +
+          " style-src 'self'";
 
+        expect(csps['index.html']).toEqual(expected);
         done();
       });
     });
-  });
-
-  describe('Custom process function', () => {
-    it('Allows the process function to be overwritten', (done) => {
-      const processFn = jest.fn();
-      const builtPolicy = `base-uri 'self'; object-src 'none'; script-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc=' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2'; style-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha256-MqG77yUiqBo4MMVZAl09WSafnQY4Uu3cSdZPKxaf9sQ=' 'nonce-mockedbase64string-3'`;
 
+    it('reports which elements the hashes came from in the manifest', (done) => {
       const config = createWebpackConfig([
         new HtmlWebpackPlugin({
           filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
@@ -866,125 +4718,286 @@ describe('CspHtmlWebpackPlugin', () => {
             __dirname,
             'test-utils',
             'fixtures',
-            'with-script-and-style.html'
+            'with-inline-attributes.html'
           ),
         }),
         new CspHtmlWebpackPlugin(
           {},
           {
-            processFn,
+            manifest: true,
+            attributeHashes: {
+              'style-src': 'attr',
+            },
           }
         ),
       ]);
 
-      webpackCompile(config, (csps) => {
-        // we've overwritten the default processFn, which writes the policy into the html file
-        // so it won't exist in this object anymore.
-        expect(csps['index.html']).toBeUndefined();
-
-        // The processFn should receive the built policy as it's first arg
-        expect(processFn).toHaveBeenCalledWith(
-          builtPolicy,
-          expect.anything(),
-          expect.anything(),
-          expect.anything()
+      webpackCompile(config, (csps, selectors, fileSystem) => {
+        const manifest = JSON.parse(
+          fileSystem
+            .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'csp-manifest.json'))
+            .toString()
         );
 
+        expect(manifest['index.html'].hashes).toEqual([
+          {
+            directive: 'style-src-attr',
+            source: "'sha256-NerDAUWfwD31YdZHveMrq0GLjsNFMwxLpZl0dPUeCcw='",
+            attribute: 'style',
+            element:
+              '<button onclick="alert(&quot;hello&quot;)" style="color: red">',
+          },
+          {
+            directive: 'style-src-attr',
+            source: "'sha256-ZdHxw9eWtnxUb3mk6tBS+gIiVUPE3pGM470keHPDFlE='",
+            attribute: 'style',
+            element: '<div style="display: none">',
+          },
+        ]);
         done();
       });
     });
 
-    it('only overwrites the processFn for the HtmlWebpackInstance where it has been defined', (done) => {
-      const processFn = jest.fn();
-      const index1BuiltPolicy = `base-uri 'self'; object-src 'none'; script-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc=' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2'; style-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha256-MqG77yUiqBo4MMVZAl09WSafnQY4Uu3cSdZPKxaf9sQ=' 'nonce-mockedbase64string-3'`;
-      const index2BuiltPolicy = `base-uri 'self'; object-src 'none'; script-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc=' 'nonce-mockedbase64string-4' 'nonce-mockedbase64string-5'; style-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha256-MqG77yUiqBo4MMVZAl09WSafnQY4Uu3cSdZPKxaf9sQ=' 'nonce-mockedbase64string-6'`;
-
+    it('adds an error if attributeHashes has an invalid value', (done) => {
       const config = createWebpackConfig([
         new HtmlWebpackPlugin({
-          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-1.html'),
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
           template: path.join(
             __dirname,
             'test-utils',
             'fixtures',
-            'with-script-and-style.html'
+            'with-nothing.html'
           ),
-          cspPlugin: {
-            processFn,
-          },
         }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            attributeHashes: {
+              'script-src': true,
+            },
+          }
+        ),
+      ]);
+
+      webpackCompile(
+        config,
+        (_1, _2, _3, errors) => {
+          expect(errors).toEqual([
+            new Error(
+              "CSP: attributeHashes for script-src should be one of false, 'attr' or 'unsafe-hashes'"
+            ),
+          ]);
+          done();
+        },
+        {
+          expectError: true,
+        }
+      );
+    });
+  });
+
+  describe('Security lint', () => {
+    it("doesn't lint the policy by default", (done) => {
+      const config = createWebpackConfig([
         new HtmlWebpackPlugin({
-          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-2.html'),
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
           template: path.join(
             __dirname,
             'test-utils',
             'fixtures',
-            'with-script-and-style.html'
+            'with-nothing.html'
           ),
         }),
-        new CspHtmlWebpackPlugin(),
+        new CspHtmlWebpackPlugin({
+          'script-src': "'unsafe-inline' data:",
+        }),
       ]);
 
       webpackCompile(config, (csps) => {
-        // it won't exist in the html file since we overwrote processFn
-        expect(csps['index-1.html']).toBeUndefined();
-        // processFn wasn't overwritten here, so this should be added to the html file as normal
-        expect(csps['index-2.html']).toEqual(index2BuiltPolicy);
-
-        // index-1.html should have used our custom function defined
-        expect(processFn).toHaveBeenCalledWith(
-          index1BuiltPolicy,
-          expect.anything(),
-          expect.anything(),
-          expect.anything()
+        expect(csps['index.html']).toContain(
+          "script-src 'unsafe-inline' data:"
         );
-
         done();
       });
     });
 
-    it('Allows to generate a file containing the policy', (done) => {
-      function generateCSPFile(
-        builtPolicy,
-        _htmlPluginData,
-        _obj,
-        compilation
-      ) {
-        compilation.emitAsset('csp.conf', new RawSource(builtPolicy));
-      }
-      const index1BuiltPolicy = `base-uri 'self'; object-src 'none'; script-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha256-ixjZMYNfWQWawUHioWOx2jBsTmfxucX7IlwsMt2jWvc=' 'nonce-mockedbase64string-1' 'nonce-mockedbase64string-2'; style-src 'unsafe-inline' 'self' 'unsafe-eval' 'sha256-MqG77yUiqBo4MMVZAl09WSafnQY4Uu3cSdZPKxaf9sQ=' 'nonce-mockedbase64string-3'`;
+    it("warns about 'unsafe-eval' in the default policy, but not 'unsafe-inline' as it falls back to the nonce", (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin({}, { lint: true }),
+      ]);
+
+      webpackCompile(
+        config,
+        (_1, _2, _3, errors, warnings) => {
+          expect(errors).toEqual([]);
+          expect(warnings).toEqual([
+            new Error(
+              "CSP: index.html: script-src contains 'unsafe-eval', which allows strings to be run as code with eval() (script-unsafe-eval)"
+            ),
+          ]);
+          done();
+        },
+        {
+          expectError: true,
+        }
+      );
+    });
 
+    it('flags weak script-src configurations', (done) => {
       const config = createWebpackConfig([
         new HtmlWebpackPlugin({
-          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-1.html'),
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
           template: path.join(
             __dirname,
             'test-utils',
             'fixtures',
-            'with-script-and-style.html'
+            'with-nothing.html'
           ),
         }),
         new CspHtmlWebpackPlugin(
-          {},
           {
-            processFn: generateCSPFile,
+            'script-src':
+              "'unsafe-inline' https: data: https://ajax.googleapis.com",
+          },
+          {
+            lint: true,
+            nonceEnabled: {
+              'script-src': false,
+            },
           }
         ),
       ]);
 
-      webpackCompile(config, (csps, selectors, fileSystem) => {
-        const cspFileContent = fileSystem
-          .readFileSync(path.join(WEBPACK_OUTPUT_DIR, 'csp.conf'), 'utf8')
-          .toString();
-
-        // it won't exist in the html file since we overwrote processFn
-        expect(csps['index-1.html']).toBeUndefined();
+      webpackCompile(
+        config,
+        (_1, _2, _3, errors, warnings) => {
+          expect(errors).toEqual([
+            new Error(
+              "CSP: index.html: script-src contains 'unsafe-inline' without a nonce or hash to fall back on, so any inline script can run (script-unsafe-inline)"
+            ),
+            new Error(
+              'CSP: index.html: script-src contains data:, which allows scripts to be loaded from any data: url (script-data-uri)'
+            ),
+            new Error(
+              'CSP: index.html: script-src contains https:, which allows scripts to be loaded from almost anywhere (script-wildcard)'
+            ),
+          ]);
+          expect(warnings).toEqual([
+            new Error(
+              'CSP: index.html: script-src contains https://ajax.googleapis.com, which hosts JSONP endpoints or libraries that can be used to bypass the policy (script-jsonp-host)'
+            ),
+          ]);
+          done();
+        },
+        {
+          expectError: true,
+        }
+      );
+    });
 
-        // A file has been generated
-        expect(cspFileContent).toEqual(index1BuiltPolicy);
+    it("doesn't flag host allowlists when 'strict-dynamic' is used, as browsers ignore them", (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new CspHtmlWebpackPlugin(
+          {
+            'script-src': "'strict-dynamic' https: *.googleapis.com",
+          },
+          { lint: true }
+        ),
+      ]);
 
+      webpackCompile(config, (csps) => {
+        expect(csps['index.html']).toContain(
+          "script-src https: *.googleapis.com 'nonce-mockedbase64string-1' 'strict-dynamic'"
+        );
         done();
       });
     });
+
+    it('allows the severity of each rule to be configured, globally and for a specific instance of HtmlWebpackPlugin', (done) => {
+      const config = createWebpackConfig([
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-1.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+        }),
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-2.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+          cspPlugin: {
+            lint: false,
+          },
+        }),
+        new HtmlWebpackPlugin({
+          filename: path.join(WEBPACK_OUTPUT_DIR, 'index-3.html'),
+          template: path.join(
+            __dirname,
+            'test-utils',
+            'fixtures',
+            'with-nothing.html'
+          ),
+          cspPlugin: {
+            lint: {
+              'script-unsafe-eval': 'warning',
+            },
+          },
+        }),
+        new CspHtmlWebpackPlugin(
+          {},
+          {
+            lint: {
+              'script-unsafe-eval': 'error',
+            },
+          }
+        ),
+      ]);
+
+      webpackCompile(
+        config,
+        (_1, _2, _3, errors, warnings) => {
+          expect(errors).toEqual([
+            new Error(
+              "CSP: index-1.html: script-src contains 'unsafe-eval', which allows strings to be run as code with eval() (script-unsafe-eval)"
+            ),
+          ]);
+          expect(warnings).toEqual([
+            new Error(
+              "CSP: index-3.html: script-src contains 'unsafe-eval', which allows strings to be run as code with eval() (script-unsafe-eval)"
+            ),
+          ]);
+          done();
+        },
+        {
+          expectError: true,
+        }
+      );
+    });
   });
 
   describe('HTML parsing', () => {
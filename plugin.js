@@ -1,10 +1,19 @@
 const cheerio = require('cheerio');
 const crypto = require('crypto');
+const path = require('path');
 const uniq = require('lodash/uniq');
 const compact = require('lodash/compact');
 const flatten = require('lodash/flatten');
 const isFunction = require('lodash/isFunction');
 const get = require('lodash/get');
+const isPlainObject = require('lodash/isPlainObject');
+const once = require('lodash/once');
+const webpackSources = require('webpack-sources');
+const {
+  DEFAULT_NONCE_PLACEHOLDER,
+  NONCE_ENCODINGS,
+  createNonce,
+} = require('./runtime');
 
 // Attempt to load HtmlWebpackPlugin@4
 // Borrowed from https://github.com/waysact/webpack-subresource-integrity/blob/master/index.js
@@ -25,8 +34,19 @@ try {
  * @param {string} builtPolicy
  * @param {object} htmlPluginData
  * @param {object} $
+ * @param {object} compilation
+ * @param {object} headers - a <string, string> map of the response headers this html file should be served with
+ * @param {object} policyParts - the built policy split into the metaPolicy, which can be delivered in a meta tag,
+ *   and the headerOnlyPolicy, e.g. frame-ancestors, which browsers ignore in a meta tag
  */
-const defaultProcessFn = (builtPolicy, htmlPluginData, $) => {
+const defaultProcessFn = (
+  builtPolicy,
+  htmlPluginData,
+  $,
+  compilation,
+  headers,
+  policyParts
+) => {
   let metaTag = $('meta[http-equiv="Content-Security-Policy"]');
 
   // Add element if it doesn't exist.
@@ -37,8 +57,8 @@ const defaultProcessFn = (builtPolicy, htmlPluginData, $) => {
     metaTag.prependTo($('head'));
   }
 
-  // build the policy into the context attr of the csp meta tag
-  metaTag.attr('content', builtPolicy);
+  // build the policy into the context attr of the csp meta tag, leaving out the directives it can't contain
+  metaTag.attr('content', policyParts.metaPolicy);
 
   // eslint-disable-next-line no-param-reassign
   htmlPluginData.html = get(htmlPluginData, 'plugin.options.xhtml', false)
@@ -46,6 +66,165 @@ const defaultProcessFn = (builtPolicy, htmlPluginData, $) => {
     : $.html();
 };
 
+/**
+ * Builds the list of routes a generated html file will be served from
+ * e.g. about/index.html is served from both /about/ and /about/index.html
+ * @param {string} outputName - the output name of the html file, relative to the output path
+ * @return {string[]}
+ */
+const getRoutes = (outputName) => {
+  const route = `/${outputName.split(path.sep).join('/')}`.replace(/\/+/g, '/');
+  const match = route.match(/^(.*\/)index\.html?$/);
+  return match ? [match[1], route] : [route];
+};
+
+/**
+ * Formatters for each of the header config files we know how to generate
+ * Each format receives a list of { routes, headers } entries, one for each html file processed
+ */
+const headerOutputFormats = {
+  nginx: {
+    filename: 'csp-headers.conf',
+    format: (entries) =>
+      flatten(
+        entries.map(({ routes, headers }) =>
+          routes.map((route) =>
+            [
+              `location = ${route} {`,
+              ...Object.keys(headers).map(
+                (name) => `  add_header ${name} "${headers[name]}" always;`
+              ),
+              '}',
+            ].join('\n')
+          )
+        )
+      ).join('\n\n'),
+  },
+  apache: {
+    filename: '.htaccess',
+    format: (entries) =>
+      entries
+        .map(({ routes, headers }) =>
+          [
+            `<If "%{REQUEST_URI} -in {${routes
+              .map((route) => `'${route}'`)
+              .join(', ')}}">`,
+            ...Object.keys(headers).map(
+              (name) => `  Header always set ${name} "${headers[name]}"`
+            ),
+            '</If>',
+          ].join('\n')
+        )
+        .join('\n\n'),
+  },
+  netlify: {
+    filename: '_headers',
+    format: (entries) =>
+      flatten(
+        entries.map(({ routes, headers }) =>
+          routes.map((route) =>
+            [
+              route,
+              ...Object.keys(headers).map(
+                (name) => `  ${name}: ${headers[name]}`
+              ),
+            ].join('\n')
+          )
+        )
+      ).join('\n\n'),
+  },
+  vercel: {
+    filename: 'vercel.json',
+    format: (entries) =>
+      JSON.stringify(
+        {
+          headers: flatten(
+            entries.map(({ routes, headers }) =>
+              routes.map((route) => ({
+                source: route,
+                headers: Object.keys(headers).map((key) => ({
+                  key,
+                  value: headers[key],
+                })),
+              }))
+            )
+          ),
+        },
+        null,
+        2
+      ),
+  },
+  firebase: {
+    filename: 'firebase.json',
+    format: (entries) =>
+      JSON.stringify(
+        {
+          hosting: {
+            headers: flatten(
+              entries.map(({ routes, headers }) =>
+                routes.map((route) => ({
+                  source: route,
+                  headers: Object.keys(headers).map((key) => ({
+                    key,
+                    value: headers[key],
+                  })),
+                }))
+              )
+            ),
+          },
+        },
+        null,
+        2
+      ),
+  },
+};
+
+/**
+ * Gets the RawSource class used to add assets to the compilation
+ * @param {object} compilation - the webpack compilation object
+ * @return {function}
+ */
+const getRawSource = (compilation) =>
+  // webpack 4 doesn't expose its sources on the compiler, so fall back to our own copy of the package
+  get(compilation, 'compiler.webpack.sources.RawSource') ||
+  webpackSources.RawSource;
+
+/**
+ * Adds a file to the compilation, replacing it if it has already been added
+ * @param {object} compilation - the webpack compilation object
+ * @param {string} filename - the name of the file, relative to the output path
+ * @param {string} content - the content of the file
+ */
+const emitOrUpdateAsset = (compilation, filename, content) => {
+  const RawSource = getRawSource(compilation);
+  if (compilation.getAsset(filename)) {
+    compilation.updateAsset(filename, new RawSource(content));
+  } else {
+    compilation.emitAsset(filename, new RawSource(content));
+  }
+};
+
+/**
+ * Finds an asset which may have been renamed since it was hashed, when real content hashing replaced the content hashes
+ * in its name. Those are swapped back for the ones it had, in the same order, to match the name it was hashed under
+ * @param {object[]} assets - the compilation's assets
+ * @param {string} name - the name of the asset when it was hashed
+ * @param {string[]} contenthash - the content hashes it had then
+ * @return {object|undefined}
+ */
+const findRenamedAsset = (assets, name, contenthash) =>
+  assets.find((asset) => asset.name === name) ||
+  assets.find(({ name: newName, info }) => {
+    const hashes = compact(flatten([info.contenthash]));
+    return (
+      hashes.length === contenthash.length &&
+      hashes.reduce(
+        (result, hash, i) => result.split(hash).join(contenthash[i]),
+        newName
+      ) === name
+    );
+  });
+
 const defaultPolicy = {
   'base-uri': "'self'",
   'object-src': "'none'",
@@ -53,6 +232,65 @@ const defaultPolicy = {
   'style-src': ["'unsafe-inline'", "'self'", "'unsafe-eval'"],
 };
 
+/**
+ * Named policies which can be used in place of the defaultPolicy with the preset option
+ */
+const presets = Object.freeze({
+  // a nonce and hash based policy, as recommended by https://web.dev/strict-csp/
+  // 'strict-dynamic' lets the scripts with a nonce or hash load other scripts. Browsers which support it ignore the
+  // https: and 'unsafe-inline' fallbacks, which are only there for older browsers
+  strict: Object.freeze({
+    'base-uri': "'none'",
+    'object-src': "'none'",
+    'script-src': ["'strict-dynamic'", "'unsafe-inline'", 'https:'],
+  }),
+  // a host allowlist, which browsers without nonce or hash support can still enforce
+  legacyCompatible: Object.freeze({
+    'default-src': "'self'",
+    'base-uri': "'self'",
+    'object-src': "'none'",
+    'script-src': ["'self'", "'unsafe-inline'"],
+    'style-src': ["'self'", "'unsafe-inline'"],
+  }),
+  // nothing is allowed unless it's from this origin, and of a type listed here
+  lockdown: Object.freeze({
+    'default-src': "'none'",
+    'base-uri': "'none'",
+    'object-src': "'none'",
+    'script-src': "'self'",
+    'style-src': "'self'",
+    'img-src': "'self'",
+    'font-src': "'self'",
+    'connect-src': "'self'",
+    'manifest-src': "'self'",
+    'form-action': "'self'",
+  }),
+});
+
+/**
+ * Gets the names in a preset option which aren't one of the presets
+ * @param {string|object|Array<string|object>} preset
+ * @return {string[]}
+ */
+const getUnknownPresets = (preset) =>
+  flatten([preset]).filter(
+    (name) => typeof name === 'string' && !presets[name]
+  );
+
+/**
+ * Merges the presets (or policy objects) in a preset option together, in order, into the base policy
+ * @param {string|object|Array<string|object>} preset
+ * @return {object}
+ */
+const resolvePreset = (preset) =>
+  flatten([preset]).reduce(
+    (policy, name) => ({
+      ...policy,
+      ...(typeof name === 'string' ? presets[name] : name),
+    }),
+    {}
+  );
+
 const defaultAdditionalOpts = {
   enabled: true,
   hashingMethod: 'sha256',
@@ -64,62 +302,1450 @@ const defaultAdditionalOpts = {
     'script-src': true,
     'style-src': true,
   },
+  integrityEnabled: {
+    'script-src': false,
+    'style-src': false,
+  },
+  attributeHashes: {
+    'script-src': false,
+    'style-src': false,
+  },
   processFn: defaultProcessFn,
+  headerOutput: false,
+  reportOnlyPolicy: false,
+  reporting: false,
+  nonceMode: 'static',
+  noncePlaceholder: DEFAULT_NONCE_PLACEHOLDER,
+  nonceScope: 'element',
+  nonceByteLength: 16,
+  nonceEncoding: 'base64',
+  manifest: false,
+  validation: {},
+  lint: false,
+  hostAllowlist: false,
+  buildRequirements: false,
+  devMode: 'auto',
+  trustedTypes: false,
+  preset: null,
+  mergeStrategy: 'replace',
+  scriptLoader: false,
+  webpackNonce: false,
+  preserveHtml: false,
+};
+
+/**
+ * Decodes the html entities in an attribute value, as we parse html without decoding entities
+ * @param {string} value - the raw attribute value
+ * @return {string}
+ */
+const decodeAttribute = (value) =>
+  cheerio
+    .load(`<i title="${value.replace(/"/g, '&quot;')}"></i>`)('i')
+    .attr('title');
+
+/**
+ * Describes an element by its opening tag, for reporting where something in the policy came from
+ * @param {object} element - the Cheerio element
+ * @return {string}
+ */
+const describeElement = (element) =>
+  `<${element.name}${Object.keys(element.attribs)
+    .map((name) => ` ${name}="${element.attribs[name]}"`)
+    .join('')}>`;
+
+/**
+ * Creates the inline script which loads the external scripts taken out of the html
+ * @param {object[]} scripts - the attributes of each script element to add straight away
+ * @param {object[]} parsedScripts - the attributes of each script element to add once the document has been parsed
+ * @return {string}
+ */
+const createScriptLoader = (scripts, parsedScripts) => {
+  // the json is embedded in a script element, so make sure it can't close it
+  const toJson = (value) =>
+    JSON.stringify(value)
+      .replace(/</g, '\\u003c')
+      .replace(/\u2028/g, '\\u2028')
+      .replace(/\u2029/g, '\\u2029');
+
+  // scripts created at runtime don't block parsing, and ones which aren't async run in the order they were added
+  return [
+    '(function (scripts, parsedScripts) {',
+    '  function addScripts(list) {',
+    '    list.forEach(function (attributes) {',
+    "      var script = document.createElement('script');",
+    '      Object.keys(attributes).forEach(function (name) {',
+    '        script.setAttribute(name, attributes[name]);',
+    '      });',
+    "      script.async = 'async' in attributes;",
+    '      document.head.appendChild(script);',
+    '    });',
+    '  }',
+    '  addScripts(scripts);',
+    "  if (document.readyState !== 'loading') {",
+    '    addScripts(parsedScripts);',
+    '  } else {',
+    "    document.addEventListener('DOMContentLoaded', function () {",
+    '      addScripts(parsedScripts);',
+    '    });',
+    '  }',
+    `})(${toJson(scripts)}, ${toJson(parsedScripts)});`,
+  ].join('\n');
+};
+
+/**
+ * Creates the runtime code which sets __webpack_nonce__ to the nonce of the script which loaded webpack's runtime
+ * Browsers hide the nonce attribute from scripts, so it's read from the nonce property
+ * @param {string} scriptNonce - the runtime's name for __webpack_nonce__
+ * @return {string[]}
+ */
+const createWebpackNonceRuntime = (scriptNonce) => [
+  "if (typeof document !== 'undefined') {",
+  "  var nonceScript = document.currentScript || document.querySelector('script[nonce]');",
+  '  if (nonceScript && nonceScript.nonce) {',
+  `    ${scriptNonce} = nonceScript.nonce;`,
+  '  }',
+  '}',
+];
+
+// directives which browsers only honour when the policy is delivered in a header
+const reportingDirectives = ['report-uri', 'report-to'];
+const headerOnlyDirectives = [
+  'frame-ancestors',
+  'sandbox',
+  ...reportingDirectives,
+];
+
+// the directives which govern inline and external elements, and event handler/style attributes, most specific first
+// https://www.w3.org/TR/CSP3/#directive-fallback-list
+const directiveFallbacks = {
+  'script-src': ['script-src', 'default-src'],
+  'script-src-elem': ['script-src-elem', 'script-src', 'default-src'],
+  'script-src-attr': ['script-src-attr', 'script-src', 'default-src'],
+  'style-src-elem': ['style-src-elem', 'style-src', 'default-src'],
+  'style-src-attr': ['style-src-attr', 'style-src', 'default-src'],
+  'img-src': ['img-src', 'default-src'],
+  'font-src': ['font-src', 'default-src'],
+  'frame-src': ['frame-src', 'child-src', 'default-src'],
+  'media-src': ['media-src', 'default-src'],
+  'manifest-src': ['manifest-src', 'default-src'],
+  'form-action': ['form-action'],
+  'worker-src': ['worker-src', 'child-src', 'script-src', 'default-src'],
+  'connect-src': ['connect-src', 'default-src'],
+};
+
+// the [selector, attribute] pairs which load each kind of resource, for the hostAllowlist option
+const hostAllowlistSelectors = {
+  'img-src': [
+    ['img', 'src'],
+    ['img', 'srcset'],
+    ['picture source', 'srcset'],
+    ['input[type="image"]', 'src'],
+    ['video', 'poster'],
+    ['link[rel~="icon"]', 'href'],
+    ['link[rel="preload"][as="image"]', 'href'],
+  ],
+  'font-src': [['link[rel="preload"][as="font"]', 'href']],
+  'frame-src': [
+    ['iframe', 'src'],
+    ['frame', 'src'],
+  ],
+  'media-src': [
+    ['video', 'src'],
+    ['audio', 'src'],
+    ['video source', 'src'],
+    ['audio source', 'src'],
+    ['track', 'src'],
+  ],
+  'manifest-src': [['link[rel="manifest"]', 'href']],
+  'form-action': [
+    ['form', 'action'],
+    ['button', 'formaction'],
+    ['input', 'formaction'],
+  ],
+};
+
+// the elements whose contents are raw text, which can't contain any other tags
+const rawTextElements = ['script', 'style', 'textarea', 'title'];
+// the elements which never have an end tag in html
+const voidElements = [
+  'area',
+  'base',
+  'br',
+  'col',
+  'embed',
+  'hr',
+  'img',
+  'input',
+  'link',
+  'meta',
+  'param',
+  'source',
+  'track',
+  'wbr',
+];
+
+/**
+ * Finds every element in the html, with the start and end of its tags and of each of its attributes, without building
+ * a document out of it. Attribute values are kept as they are in the html, as we parse html without decoding entities
+ * @param {string} html
+ * @param {boolean} xmlMode - keeps the letter case of tag and attribute names, and allows any tag to be self-closing
+ * @return {object[]} - the elements, in the order their start tags appear
+ */
+const scanElements = (html, xmlMode) => {
+  const normalise = (name) => (xmlMode ? name : name.toLowerCase());
+  const tagPattern = /<(?:!--[\s\S]*?(?:-->|$)|!\[CDATA\[[\s\S]*?(?:\]\]>|$)|[!?][^>]*>?|(\/?)([a-z][^\s/>]*))/gi;
+  const separatorPattern = /[\s/]*/y;
+  const attributePattern = /([^\s/>=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]*)))?/y;
+  const elements = [];
+  const open = [];
+
+  let match = tagPattern.exec(html);
+  while (match) {
+    const [, isEndTag, tagName] = match;
+    const name = tagName && normalise(tagName);
+    const start = match.index;
+    if (isEndTag) {
+      // an end tag also ends any elements left open inside the one it closes
+      const end = html.indexOf('>', tagPattern.lastIndex) + 1 || html.length;
+      const index = open.map((element) => element.name).lastIndexOf(name);
+      if (index !== -1) {
+        open.splice(index).forEach((element, i) => {
+          // eslint-disable-next-line no-param-reassign
+          element.closeEnd = i ? start : end;
+        });
+      }
+      tagPattern.lastIndex = end;
+    } else if (name) {
+      const element = {
+        name,
+        attribs: {},
+        attributes: [],
+        start,
+        parent: open[open.length - 1] || null,
+      };
+
+      // the attributes run until the > which isn't in a quoted value
+      let index = tagPattern.lastIndex;
+      for (;;) {
+        separatorPattern.lastIndex = index;
+        separatorPattern.exec(html);
+        attributePattern.lastIndex = separatorPattern.lastIndex;
+        const attribute = attributePattern.exec(html);
+        if (!attribute) {
+          break;
+        }
+
+        const key = normalise(attribute[1]);
+        if (!(key in element.attribs)) {
+          element.attribs[key] =
+            [attribute[2], attribute[3], attribute[4]].find(
+              (value) => value !== undefined
+            ) || '';
+          element.attributes.push({
+            key,
+            name: attribute[1],
+            start: attribute.index,
+            end: attributePattern.lastIndex,
+          });
+        }
+        index = attributePattern.lastIndex;
+      }
+      element.attributesEnd = index;
+      element.end = html.indexOf('>', index) + 1 || html.length;
+      element.closeEnd = element.end;
+      const isSelfClosing = xmlMode && html[element.end - 2] === '/';
+
+      if (isSelfClosing || (!xmlMode && voidElements.includes(name))) {
+        tagPattern.lastIndex = element.end;
+      } else if (rawTextElements.includes(name.toLowerCase())) {
+        const endTag = new RegExp(`</${name}[\\s/>]`, 'ig');
+        endTag.lastIndex = element.end;
+        const endTagMatch = endTag.exec(html);
+        element.content = {
+          start: element.end,
+          end: endTagMatch ? endTagMatch.index : html.length,
+        };
+        element.closeEnd = endTagMatch
+          ? html.indexOf('>', endTagMatch.index) + 1
+          : html.length;
+        tagPattern.lastIndex = element.closeEnd;
+      } else {
+        open.push(element);
+        tagPattern.lastIndex = element.end;
+      }
+      elements.push(element);
+    }
+    match = tagPattern.exec(html);
+  }
+
+  return elements;
+};
+
+/**
+ * Loads only the parts of the html the policy is worked out from into Cheerio: the document's head and body, its
+ * scripts, styles, links and meta tags, the elements with inline event handlers or style attributes, and the ones the
+ * hostAllowlist option checks. $.html() and $.xml() then splice the changes made to them back into the original html,
+ * using the positions of their tags and attributes, so every other byte stays exactly as it was
+ * @param {string} html
+ * @param {boolean} xmlMode
+ * @return {object} - the Cheerio instance
+ */
+const loadPreservingHtml = (html, xmlMode) => {
+  const $ = cheerio.load('', {
+    decodeEntities: false,
+    _useHtmlParser2: true,
+    xmlMode,
+  });
+  const render = $.html;
+  const renderXml = $.xml;
+
+  const preservedNames = uniq([
+    'html',
+    'head',
+    'body',
+    'script',
+    'style',
+    'link',
+    'meta',
+    ...flatten(
+      flatten(Object.values(hostAllowlistSelectors)).map(([selector]) =>
+        selector.split(' ').map((part) => part.match(/^[a-z]+/)[0])
+      )
+    ),
+  ]);
+  const isPreserved = ({ name, attribs }) =>
+    preservedNames.includes(name.toLowerCase()) ||
+    Object.keys(attribs).some((key) => /^(on|style$)/i.test(key));
+
+  // each element is added to the nearest of its ancestors which was also loaded
+  const elements = new Map();
+  const originals = new Map();
+  scanElements(html, xmlMode)
+    .filter(isPreserved)
+    .forEach((element) => {
+      const node = $(`<${element.name}>`)[0];
+      node.attribs = { ...element.attribs };
+      if (element.content) {
+        $(node).text(html.slice(element.content.start, element.content.end));
+      }
+
+      let { parent } = element;
+      while (parent && !elements.has(parent)) {
+        parent = parent.parent;
+      }
+      $(node).appendTo(parent ? elements.get(parent) : $.root());
+      elements.set(element, node);
+    });
+  elements.forEach((node, element) => {
+    originals.set(node, {
+      element,
+      attribs: { ...node.attribs },
+      children: [...node.children],
+      content: element.content ? $(node).html() : null,
+    });
+  });
+  originals.set($.root()[0], {
+    element: null,
+    attribs: {},
+    children: [...$.root()[0].children],
+    content: null,
+  });
+
+  const getEdits = (node) => {
+    const { element, attribs, children, content } = originals.get(node);
+    const edits = [];
+    const getAttributeText = (name, key) =>
+      `${name}="${node.attribs[key].replace(/"/g, '&quot;')}"`;
+
+    // rewrite the changed attributes where they are in the start tag, and add new ones after the last of them
+    if (element) {
+      element.attributes
+        .filter(({ key }) => node.attribs[key] !== attribs[key])
+        .forEach(({ key, name, start, end }) => {
+          if (node.attribs[key] !== undefined) {
+            edits.push({ start, end, text: getAttributeText(name, key) });
+            return;
+          }
+
+          // removed attributes take the whitespace before them too
+          let whitespaceStart = start;
+          while (/\s/.test(html[whitespaceStart - 1] || '')) {
+            whitespaceStart -= 1;
+          }
+          edits.push({ start: whitespaceStart, end, text: '' });
+        });
+      Object.keys(node.attribs)
+        .filter((key) => attribs[key] === undefined)
+        .forEach((key) => {
+          edits.push({
+            start: element.attributesEnd,
+            end: element.attributesEnd,
+            text: ` ${getAttributeText(key, key)}`,
+          });
+        });
+    }
+
+    // the contents of scripts and styles are replaced entirely if they've changed
+    if (content !== null) {
+      if ($(node).html() !== content) {
+        edits.push({
+          start: element.content.start,
+          end: element.content.end,
+          text: $(node).html(),
+        });
+      }
+      return edits;
+    }
+
+    children
+      .filter((child) => !node.children.includes(child))
+      .forEach((child) => {
+        const { start, closeEnd } = originals.get(child).element;
+        edits.push({ start, end: closeEnd, text: '' });
+      });
+
+    // new children are inserted at the start of the element if they come first in it, otherwise before the child which
+    // followed the previous one in the original html, even if it's since been removed, or after the previous one
+    const isOriginal = (child) => children.includes(child);
+    node.children.forEach((child, i) => {
+      if (isOriginal(child)) {
+        edits.push(...getEdits(child));
+        return;
+      }
+
+      const previous = node.children.slice(0, i).reverse().find(isOriginal);
+      let position = element ? element.end : 0;
+      if (previous) {
+        const next = children[children.indexOf(previous) + 1];
+        position = next
+          ? originals.get(next).element.start
+          : originals.get(previous).element.closeEnd;
+      } else if (!element && children.length) {
+        position = originals.get(children[0]).element.start;
+      }
+      edits.push({
+        start: position,
+        end: position,
+        text: render.call($, child),
+      });
+    });
+
+    return edits;
+  };
+
+  // apply the edits from the end of the html, so the indices of the ones before stay correct. Where an element is
+  // removed and another inserted in the same place, the removal goes first. Insertions at the same place keep their order
+  const splice = () =>
+    getEdits($.root()[0])
+      .map((edit, i) => ({ ...edit, i }))
+      .sort((a, b) => b.start - a.start || b.end - a.end || b.i - a.i)
+      .reduce(
+        (result, { start, end, text }) =>
+          result.slice(0, start) + text + result.slice(end),
+        html
+      );
+
+  $.html = (...args) => (args.length ? render.apply($, args) : splice());
+  $.xml = (...args) => (args.length ? renderXml.apply($, args) : splice());
+  return $;
+};
+
+/**
+ * Gets the origin of an absolute or protocol relative url, in the form used by host sources
+ * Protocol relative urls return just the host, which matches the scheme the page was loaded over
+ * @param {string} url
+ * @return {string|null} - null if the url is relative, or doesn't use http(s) or ws(s)
+ */
+const getOrigin = (url) => {
+  const match = /^(?:(https?|wss?):)?\/\/([^/?#\s]+)/i.exec(url.trim());
+  if (!match) {
+    return null;
+  }
+  const host = match[2].replace(/^[^@]*@/, '').toLowerCase();
+  return match[1] ? `${match[1].toLowerCase()}://${host}` : host;
+};
+
+/**
+ * Builds the requirement for eval based devtools, which wrap every module in eval()
+ * @param {object} compilation - the webpack compilation object
+ * @return {object[]} - the requirement, if the devtool needs one
+ */
+const getDevtoolRequirements = (compilation) => {
+  const { devtool } = compilation.options;
+  return typeof devtool === 'string' && devtool.includes('eval')
+    ? [
+        {
+          directive: 'script-src',
+          source: "'unsafe-eval'",
+          reason: `devtool '${devtool}' runs every module with eval()`,
+        },
+      ]
+    : [];
 };
 
-class CspHtmlWebpackPlugin {
+/**
+ * Whether webpack is being run by webpack-dev-server, rather than just having devServer options in its config
+ * webpack-cli's serve command sets WEBPACK_SERVE, and webpack-dev-server 3 sets WEBPACK_DEV_SERVER
+ * @return {boolean}
+ */
+const isDevServerRunning = () =>
+  !!(process.env.WEBPACK_SERVE || process.env.WEBPACK_DEV_SERVER);
+
+/**
+ * Works out the origin the webpack-dev-server client opens its live reload / HMR websocket to
+ * Supports the webpack-dev-server 3 (public, sockHost, sockPort) and 4 (client.webSocketURL) options
+ * @param {object} devServer - the devServer options from the webpack config
+ * @return {string} - a ws: or wss: origin, or just the scheme if the client connects to whichever host served the page
+ */
+const getDevServerSocketOrigin = (devServer) => {
+  const webSocketURL = get(devServer, 'client.webSocketURL');
+  if (typeof webSocketURL === 'string' && getOrigin(webSocketURL)) {
+    return getOrigin(webSocketURL);
+  }
+
+  const secure =
+    devServer.https ||
+    devServer.http2 ||
+    [get(devServer, 'server'), get(devServer, 'server.type')].includes('https');
+  const scheme = get(webSocketURL, 'protocol', secure ? 'wss:' : 'ws:').replace(
+    /:?$/,
+    ''
+  );
+  const [publicHost, publicPort] = (devServer.public || '')
+    .replace(/^[a-z]+:\/\//, '')
+    .split(':');
+  const host =
+    get(webSocketURL, 'hostname') ||
+    devServer.sockHost ||
+    publicHost ||
+    devServer.host ||
+    'localhost';
+  const port =
+    get(webSocketURL, 'port') ||
+    devServer.sockPort ||
+    publicPort ||
+    devServer.port ||
+    8080;
+
+  // the client connects to the host which served the page when the server listens on every interface, and
+  // webpack-dev-server 4 only picks the address for local-ip and the port for 'auto' when it starts, so in those cases
+  // only the scheme can be allowed
+  const isLiteralHost = ![
+    '0.0.0.0',
+    '::',
+    '[::]',
+    'local-ip',
+    'local-ipv4',
+    'local-ipv6',
+  ].includes(host);
+  const isLiteralPort = /^[1-9]\d*$/.test(String(port));
+  return isLiteralHost && isLiteralPort
+    ? `${scheme}://${host}:${port}`
+    : `${scheme}:`;
+};
+
+/**
+ * Checks whether an origin is matched by one of a list of sources, e.g. https://cdn.example.com by *.example.com
+ * @param {string[]} sources
+ * @param {string} origin - as returned by getOrigin
+ * @return {boolean}
+ */
+const isOriginAllowed = (sources, origin) => {
+  const [, scheme, host] = /^(?:([a-z]+):\/\/)?(.*)$/.exec(origin);
+  return sources.some((source) => {
+    const lowerSource = source.toLowerCase();
+    if (
+      lowerSource === '*' ||
+      lowerSource === origin ||
+      (scheme && lowerSource === `${scheme}:`)
+    ) {
+      return true;
+    }
+
+    const [, sourceScheme, sourceHost] =
+      /^(?:([a-z][a-z0-9+.-]*):\/\/)?([^/]+)/.exec(lowerSource) || [];
+    if (!sourceHost || (sourceScheme && scheme && sourceScheme !== scheme)) {
+      return false;
+    }
+    return (
+      sourceHost === host ||
+      (sourceHost.startsWith('*.') && host.endsWith(sourceHost.slice(1)))
+    );
+  });
+};
+
+/**
+ * Checks whether a source is already in a list of sources, or for host sources, whether the list already matches it
+ * @param {string[]} sources
+ * @param {string} source
+ * @return {boolean}
+ */
+const isSourceAllowed = (sources, source) =>
+  source.startsWith("'")
+    ? sources.some(
+        (existing) => existing.toLowerCase() === source.toLowerCase()
+      )
+    : isOriginAllowed(sources, source);
+
+// the ways a directive can be merged with the same directive from the policy beneath it
+const mergeStrategies = ['replace', 'append', 'deep'];
+
+/**
+ * Gets the strategies in a mergeStrategy option which aren't one of the merge strategies
+ * The merge strategy is either used for every directive, or set per directive
+ * @param {string|object} mergeStrategy
+ * @return {string[]}
+ */
+const getUnknownMergeStrategies = (mergeStrategy) =>
+  flatten([
+    typeof mergeStrategy === 'string'
+      ? mergeStrategy
+      : Object.values(mergeStrategy || {}),
+  ]).filter((strategy) => !mergeStrategies.includes(strategy));
+
+/**
+ * Flattens a directive's value, which can be a string or an array of strings, into a list of sources
+ * @param {string|string[]} value
+ * @return {string[]}
+ */
+const toSources = (value) => compact(flatten([value]).join(' ').split(/\s+/));
+
+/**
+ * Merges the sources a directive inherited with the ones added to it
+ * A deep merge also normalises the combined list: sources repeated in a different case, 'none' alongside other
+ * sources, and hosts already matched by a wildcard or scheme source are dropped
+ * @param {string[]} inherited
+ * @param {string[]} added
+ * @param {string} strategy - 'append' or 'deep'
+ * @return {string[]}
+ */
+const mergeSources = (inherited, added, strategy) => {
+  const sources = uniq([...inherited, ...added]);
+  if (strategy !== 'deep') {
+    return sources;
+  }
+
+  const deduped = sources.filter(
+    (source, i) =>
+      sources.findIndex(
+        (other) => other.toLowerCase() === source.toLowerCase()
+      ) === i
+  );
+  const withoutNone =
+    deduped.length > 1
+      ? deduped.filter((source) => source.toLowerCase() !== "'none'")
+      : deduped;
+  const wildcards = withoutNone.filter(
+    (source) => source.includes('*') || /^[a-z][a-z0-9+.-]*:$/i.test(source)
+  );
+  return withoutNone.filter(
+    (source) =>
+      wildcards.includes(source) || !isSourceAllowed(wildcards, source)
+  );
+};
+
+/**
+ * Merges layers of policies together, each on top of the last, using the merge strategy set for each directive
+ * A directive can also be set to a { add, remove } object, which adds and removes sources from the inherited ones.
+ * remove: true removes the inherited directive altogether
+ * @param {object[]} policies - the policies, from the bottom layer up
+ * @param {string|object} mergeStrategy - a strategy for every directive, or a <string, string> map of directives to
+ *   strategies. Directives without one are replaced
+ * @return {object}
+ */
+const mergePolicies = (policies, mergeStrategy) =>
+  policies.reduce(
+    (merged, policy) =>
+      Object.keys(policy).reduce((obj, key) => {
+        const value = policy[key];
+        const strategy =
+          (typeof mergeStrategy === 'string'
+            ? mergeStrategy
+            : get(mergeStrategy, key)) || 'replace';
+
+        if (isPlainObject(value)) {
+          if (value.remove === true) {
+            const rest = { ...obj };
+            delete rest[key];
+            return rest;
+          }
+
+          const remove = toSources(value.remove).map((source) =>
+            source.toLowerCase()
+          );
+          const sources = mergeSources(
+            toSources(obj[key]).filter(
+              (source) => !remove.includes(source.toLowerCase())
+            ),
+            toSources(value.add),
+            strategy
+          );
+          if (sources.length) {
+            return { ...obj, [key]: sources };
+          }
+
+          // removing every source from a directive blocks everything, so make that explicit. Removing sources from a
+          // directive which wasn't there leaves it out, rather than blocking what its fallback allows
+          return obj[key] === undefined ? obj : { ...obj, [key]: "'none'" };
+        }
+
+        if (strategy === 'replace' || obj[key] === undefined) {
+          return { ...obj, [key]: value };
+        }
+        return {
+          ...obj,
+          [key]: mergeSources(toSources(obj[key]), toSources(value), strategy),
+        };
+      }, merged),
+    {}
+  );
+
+/**
+ * Resolves an option which can either be set as a value, or as a sync or async function of the page being built
+ * @param {*} option
+ * @param {object} htmlPluginData - the HtmlWebpackPlugin data object
+ * @param {object} compilation - the webpack compilation object
+ * @return {Promise<*>}
+ */
+const resolveOption = (option, htmlPluginData, compilation) =>
+  new Promise((resolve) => {
+    resolve(isFunction(option) ? option(htmlPluginData, compilation) : option);
+  });
+
+/**
+ * Finds the directive in a policy which governs a kind of element, by following the CSP3 fallback list
+ * e.g. <script> elements are governed by script-src-elem, falling back to script-src, then default-src
+ * @param {object} policy
+ * @param {string} directive - one of the keys of directiveFallbacks
+ * @return {string|undefined} - undefined if nothing in the policy governs these elements
+ */
+const getGoverningDirective = (policy, directive) =>
+  directiveFallbacks[directive].find((key) => key in policy);
+
+/**
+ * Looks up the setting for a directive in a <string, boolean> option such as hashEnabled, falling back through the
+ * same list, so script-src-elem uses the script-src setting unless it has been given its own
+ * @param {object} settings
+ * @param {string} directive - one of the keys of directiveFallbacks
+ * @param {boolean} defaultValue - used if no directive in the list has a setting
+ * @return {boolean}
+ */
+const getDirectiveSetting = (settings, directive, defaultValue) => {
+  const key = directiveFallbacks[directive].find(
+    (fallback) => settings[fallback] !== undefined
+  );
+  return key ? settings[key] : defaultValue;
+};
+
+// every directive we know about, and the kind of value it takes
+const fetchDirectives = [
+  'child-src',
+  'connect-src',
+  'default-src',
+  'fenced-frame-src',
+  'font-src',
+  'frame-src',
+  'img-src',
+  'manifest-src',
+  'media-src',
+  'object-src',
+  'script-src',
+  'script-src-elem',
+  'script-src-attr',
+  'style-src',
+  'style-src-elem',
+  'style-src-attr',
+  'worker-src',
+];
+const directiveValueTypes = {
+  ...fetchDirectives.reduce(
+    (obj, directive) => ({ ...obj, [directive]: 'source-list' }),
+    {}
+  ),
+  'base-uri': 'source-list',
+  'form-action': 'source-list',
+  'frame-ancestors': 'ancestor-source-list',
+  sandbox: 'sandbox',
+  'report-uri': 'uri-list',
+  'report-to': 'token',
+  'upgrade-insecure-requests': 'empty',
+  'require-trusted-types-for': 'trusted-types-sink-groups',
+  'trusted-types': 'trusted-types',
+  webrtc: 'webrtc',
+  // deprecated directives
+  'block-all-mixed-content': 'empty',
+  'plugin-types': 'other',
+  'prefetch-src': 'source-list',
+  'navigate-to': 'source-list',
+  referrer: 'other',
+  'reflected-xss': 'other',
+  'require-sri-for': 'other',
+};
+
+// the keywords and names trusted-types and require-trusted-types-for accept
+// https://w3c.github.io/trusted-types/dist/spec/#trusted-types-csp-directive
+const trustedTypesKeywords = ["'none'", "'allow-duplicates'"];
+const trustedTypesSinkGroups = ["'script'"];
+const trustedTypesPolicyName = /^[a-z0-9\-#=_/@.%]+$/i;
+
+// deprecated directives, and what should be used instead
+const deprecatedDirectives = {
+  'block-all-mixed-content': 'upgrade-insecure-requests',
+  'plugin-types': "object-src 'none'",
+  'prefetch-src': 'default-src',
+  'navigate-to': 'form-action',
+  referrer: 'the Referrer-Policy header',
+  'reflected-xss': 'the X-XSS-Protection header',
+  'require-sri-for': 'integrity attributes',
+};
+
+// keyword sources which are valid in source lists
+const keywordSources = [
+  "'self'",
+  "'none'",
+  "'unsafe-inline'",
+  "'unsafe-eval'",
+  "'unsafe-hashes'",
+  "'unsafe-allow-redirects'",
+  "'strict-dynamic'",
+  "'report-sample'",
+  "'wasm-unsafe-eval'",
+  "'inline-speculation-rules'",
+];
+
+// frame-ancestors only allows hosts, schemes, 'self' and 'none'
+const ancestorKeywordSources = ["'self'", "'none'"];
+
+// tokens allowed in the sandbox directive
+const sandboxTokens = [
+  'allow-downloads',
+  'allow-forms',
+  'allow-modals',
+  'allow-orientation-lock',
+  'allow-pointer-lock',
+  'allow-popups',
+  'allow-popups-to-escape-sandbox',
+  'allow-presentation',
+  'allow-same-origin',
+  'allow-scripts',
+  'allow-storage-access-by-user-activation',
+  'allow-top-navigation',
+  'allow-top-navigation-by-user-activation',
+  'allow-top-navigation-to-custom-protocols',
+];
+
+// the length of the digest for each hash algorithm
+const hashLengths = { sha256: 32, sha384: 48, sha512: 64 };
+
+// schemes which are commonly written without their colon
+const commonSchemes = [
+  'http',
+  'https',
+  'ws',
+  'wss',
+  'data',
+  'blob',
+  'filesystem',
+  'mediastream',
+];
+
+/**
+ * The default severity of each problem validatePolicy can find. Each can be set to 'error', 'warning' or 'off'
+ */
+const defaultValidation = {
+  'unquoted-keyword': 'error',
+  'unknown-directive': 'error',
+  'deprecated-directive': 'warning',
+  'invalid-directive-value': 'error',
+  'invalid-keyword': 'error',
+  'invalid-host-source': 'error',
+  'invalid-scheme-source': 'error',
+  'invalid-nonce-source': 'error',
+  'invalid-hash-source': 'error',
+  'none-with-other-sources': 'warning',
+  'ignored-in-meta-tag': 'warning',
+};
+
+/**
+ * The default severity of each rule lintPolicy checks, when the lint option is enabled.
+ * Each can be set to 'error', 'warning' or 'off'
+ */
+const defaultLint = {
+  'script-unsafe-inline': 'error',
+  'script-unsafe-eval': 'warning',
+  'script-wildcard': 'error',
+  'script-data-uri': 'error',
+  'script-jsonp-host': 'warning',
+  'missing-script-src': 'error',
+  'missing-object-src': 'error',
+  'missing-base-uri': 'warning',
+};
+
+// hosts which serve JSONP endpoints or old Angular versions, which can be used to bypass a host allowlist
+const jsonpHosts = [
+  'accounts.google.com',
+  'ajax.googleapis.com',
+  'api.twitter.com',
+  'apis.google.com',
+  'cdn.jsdelivr.net',
+  'cdnjs.cloudflare.com',
+  'connect.facebook.net',
+  'graph.facebook.com',
+  'maps.googleapis.com',
+  'unpkg.com',
+  'www.google.com',
+  'www.googleapis.com',
+  'www.gstatic.com',
+  'www.youtube.com',
+];
+
+/**
+ * Parses a built policy back into a <string, string[]> map of directives to sources
+ * @param {string} builtPolicy
+ * @return {object}
+ */
+const parsePolicy = (builtPolicy) =>
+  compact(builtPolicy.split(';').map((directive) => directive.trim())).reduce(
+    (obj, directive) => {
+      const [name, ...sources] = directive.split(/\s+/);
+      return { ...obj, [name.toLowerCase()]: sources };
+    },
+    {}
+  );
+
+/**
+ * Splits a built policy into the directives which can be delivered in a meta tag, and those which browsers only
+ * honour in a header
+ * @param {string} builtPolicy
+ * @return {{metaPolicy: string, headerOnlyPolicy: string}}
+ */
+const splitHeaderOnlyDirectives = (builtPolicy) => {
+  const directives = compact(builtPolicy.split('; '));
+  const isHeaderOnly = (directive) =>
+    headerOnlyDirectives.includes(
+      directive.trim().split(/\s+/)[0].toLowerCase()
+    );
+  return {
+    metaPolicy: directives.filter((d) => !isHeaderOnly(d)).join('; '),
+    headerOnlyPolicy: directives.filter(isHeaderOnly).join('; '),
+  };
+};
+
+/**
+ * Calculates the number of single character edits needed to turn one string into another
+ * @param {string} a
+ * @param {string} b
+ * @return {number}
+ */
+const editDistance = (a, b) => {
+  let previousRow = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      row[j] = Math.min(
+        previousRow[j] + 1,
+        row[j - 1] + 1,
+        previousRow[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previousRow = row;
+  }
+  return previousRow[b.length];
+};
+
+/**
+ * Finds the closest known directive to a misspelled one
+ * @param {string} directive
+ * @return {string|undefined}
+ */
+const suggestDirective = (directive) =>
+  Object.keys(directiveValueTypes)
+    .map((known) => ({ known, distance: editDistance(directive, known) }))
+    .filter(({ distance }) => distance <= 2)
+    .sort((a, b) => a.distance - b.distance)
+    .map(({ known }) => known)[0];
+
+/**
+ * Checks a single source expression against the CSP3 grammar
+ * https://www.w3.org/TR/CSP3/#grammardef-serialized-source-list
+ * @param {string} source - the source expression
+ * @param {string} directive - the directive it is in
+ * @return {string[]|null} - the id of the problem found and a description of it, or null if it's valid
+ */
+const checkSource = (source, directive) => {
+  const lower = source.toLowerCase();
+
+  if (/^'.*'$/.test(source)) {
+    if (lower.startsWith("'nonce-")) {
+      return /^'nonce-[a-z0-9+/_-]+={0,2}'$/i.test(source)
+        ? null
+        : [
+            'invalid-nonce-source',
+            `contains ${source} which is not a valid nonce source. Nonces must be base64 encoded`,
+          ];
+    }
+
+    const hashMatch = source.match(/^'(sha\d+)-(.*)'$/i);
+    if (hashMatch) {
+      const algorithm = hashMatch[1].toLowerCase();
+      if (!hashLengths[algorithm]) {
+        return [
+          'invalid-hash-source',
+          `contains ${source} which is not a valid hash source. The hash algorithm must be one of sha256, sha384 or sha512`,
+        ];
+      }
+      const digest = hashMatch[2];
+      const isBase64 = /^[a-z0-9+/_-]+={0,2}$/i.test(digest);
+      if (
+        !isBase64 ||
+        Buffer.from(digest.replace(/-/g, '+').replace(/_/g, '/'), 'base64')
+          .length !== hashLengths[algorithm]
+      ) {
+        return [
+          'invalid-hash-source',
+          `contains ${source} which is not a valid hash source. It should be a base64 encoded ${algorithm} digest`,
+        ];
+      }
+      return null;
+    }
+
+    const keywords =
+      directive === 'frame-ancestors' ? ancestorKeywordSources : keywordSources;
+    if (!keywords.includes(lower)) {
+      const unquoted = source.slice(1, -1);
+      return [
+        'invalid-keyword',
+        `contains ${source} which is not a valid keyword source${
+          checkSource(unquoted, directive) === null
+            ? `. Hosts and schemes should not be wrapped in apostrophes, use ${unquoted}`
+            : ''
+        }`,
+      ];
+    }
+    return null;
+  }
+
+  if (/^(nonce|sha\d+)-/i.test(source)) {
+    return [
+      lower.startsWith('nonce-')
+        ? 'invalid-nonce-source'
+        : 'invalid-hash-source',
+      `contains ${source} which should be wrapped in apostrophes`,
+    ];
+  }
+
+  if (keywordSources.includes(`'${lower}'`)) {
+    return [
+      'unquoted-keyword',
+      `contains ${source} which should be wrapped in apostrophes`,
+    ];
+  }
+
+  if (source.endsWith(':') && !source.includes('/')) {
+    return /^[a-z][a-z0-9+.-]*:$/i.test(source)
+      ? null
+      : [
+          'invalid-scheme-source',
+          `contains ${source} which is not a valid scheme source`,
+        ];
+  }
+
+  if (commonSchemes.includes(lower)) {
+    return [
+      'invalid-scheme-source',
+      `contains ${source} which is not a valid scheme source. Did you mean ${lower}:?`,
+    ];
+  }
+
+  const hostSource = /^(?:[a-z][a-z0-9+.-]*:\/\/)?(?:\*|(?:\*\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*\.?)(?::(?:\d+|\*))?(?:\/[^;,]*)?$/i;
+  return hostSource.test(source)
+    ? null
+    : [
+        'invalid-host-source',
+        `contains ${source} which is not a valid host source`,
+      ];
+};
+
+/**
+ * Checks whether a reporting endpoint url is one browsers will send reports to
+ * i.e. a relative path, or an absolute url on a potentially trustworthy origin
+ * @param {string} url
+ * @return {boolean}
+ */
+const isSecureReportingUrl = (url) => {
+  if (typeof url !== 'string') {
+    return false;
+  }
+  if (url.startsWith('/') && !url.startsWith('//')) {
+    return true;
+  }
+  try {
+    const { protocol, hostname } = new URL(url);
+    return (
+      protocol === 'https:' ||
+      (protocol === 'http:' && ['localhost', '127.0.0.1'].includes(hostname))
+    );
+  } catch (e) {
+    return false;
+  }
+};
+
+// stands in for each nonce in output which can be cached, so that a fresh nonce is swapped in on every build
+const createNonceToken = (i) => `{{CSP_CACHED_NONCE_${i}}}`;
+const nonceTokenPattern = /\{\{CSP_CACHED_NONCE_(\d+)\}\}/g;
+
+// the hashing methods browsers accept in a policy
+const hashingMethods = ['sha256', 'sha384', 'sha512'];
+
+/**
+ * Gets the hashing methods the hashes for a directive are made with. The hashingMethod option can be one method, a list
+ * of them, or a <string, string|string[]> entry setting the methods for each directive, falling back in the same way as
+ * hashEnabled
+ * @param {string|string[]|object} hashingMethod
+ * @param {string} directive - one of the keys of directiveFallbacks
+ * @return {string[]}
+ */
+const getHashingMethods = (hashingMethod, directive) =>
+  uniq(
+    flatten([
+      isPlainObject(hashingMethod)
+        ? getDirectiveSetting(
+            hashingMethod,
+            directive,
+            defaultAdditionalOpts.hashingMethod
+          )
+        : hashingMethod,
+    ])
+  );
+
+/**
+ * Finds the hashing methods in a hashingMethod option which browsers don't accept
+ * An empty list of methods is invalid too, as hashEnabled is the way to turn hashes off
+ * @param {string|string[]|object} hashingMethod
+ * @return {string[]}
+ */
+const getInvalidHashingMethods = (hashingMethod) =>
+  (isPlainObject(hashingMethod)
+    ? Object.values(hashingMethod)
+    : [hashingMethod]
+  ).reduce((invalid, methods) => {
+    const list = flatten([methods]);
+    return [
+      ...invalid,
+      ...(list.length
+        ? list.filter((method) => !hashingMethods.includes(method))
+        : ['[]']),
+    ];
+  }, []);
+
+class CspHtmlWebpackPlugin {
+  /**
+   * Setup for our plugin
+   * @param {object} policy - the policy object - see defaultPolicy above for the structure
+   * @param {object} additionalOpts - additional config options - see defaultAdditionalOpts above for options available
+   */
+  constructor(policy = {}, additionalOpts = {}) {
+    // the policy passed in from the CspHtmlWebpackPlugin instance
+    this.cspPluginPolicy = Object.freeze(policy);
+
+    // the additional options that this plugin allows
+    this.opts = Object.freeze({ ...defaultAdditionalOpts, ...additionalOpts });
+
+    // valid hashes from https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Content-Security-Policy/script-src#Sources
+    // a function is checked once it has been resolved for each page
+    const [invalidHashingMethod] = isFunction(this.opts.hashingMethod)
+      ? []
+      : getInvalidHashingMethods(this.opts.hashingMethod);
+    if (invalidHashingMethod !== undefined) {
+      throw new Error(
+        `'${invalidHashingMethod}' is not a valid hashing method`
+      );
+    }
+
+    // static nonces are generated at build time, placeholders are swapped for a nonce per request by runtime.js
+    if (!['static', 'placeholder'].includes(this.opts.nonceMode)) {
+      throw new Error(`'${this.opts.nonceMode}' is not a valid nonce mode`);
+    }
+
+    // the placeholder is written into html attributes and the policy, so can't contain quotes or whitespace
+    if (
+      typeof this.opts.noncePlaceholder !== 'string' ||
+      !/^[^\s'"]+$/.test(this.opts.noncePlaceholder)
+    ) {
+      throw new Error(
+        `'${this.opts.noncePlaceholder}' is not a valid nonce placeholder`
+      );
+    }
+
+    // static nonces are either created for each element, or once for each html file
+    if (!['element', 'document'].includes(this.opts.nonceScope)) {
+      throw new Error(`'${this.opts.nonceScope}' is not a valid nonce scope`);
+    }
+
+    // nonces should be at least 128 bits, https://w3c.github.io/webappsec-csp/#security-nonces
+    if (
+      !Number.isInteger(this.opts.nonceByteLength) ||
+      this.opts.nonceByteLength < 16
+    ) {
+      throw new Error(
+        `'${this.opts.nonceByteLength}' is not a valid nonce byte length. Nonces need at least 16 bytes`
+      );
+    }
+
+    if (!NONCE_ENCODINGS.includes(this.opts.nonceEncoding)) {
+      throw new Error(
+        `'${this.opts.nonceEncoding}' is not a valid nonce encoding`
+      );
+    }
+
+    // presets are referred to by name, so check they exist
+    getUnknownPresets(this.opts.preset).forEach((name) => {
+      throw new Error(`'${name}' is not a valid preset`);
+    });
+
+    getUnknownMergeStrategies(this.opts.mergeStrategy).forEach((strategy) => {
+      throw new Error(`'${strategy}' is not a valid merge strategy`);
+    });
+
+    // development mode is either forced on or off, or detected from the webpack config
+    if (!['auto', true, false].includes(this.opts.devMode)) {
+      throw new Error(`'${this.opts.devMode}' is not a valid dev mode`);
+    }
+
+    // the Trusted Types policies allowed, normalised into a { policies, allowDuplicates, scan } object
+    this.trustedTypes = this.opts.trustedTypes
+      ? Object.freeze({
+          policies: [],
+          allowDuplicates: false,
+          scan: false,
+          ...(this.opts.trustedTypes === true ? {} : this.opts.trustedTypes),
+        })
+      : null;
+    (this.trustedTypes ? this.trustedTypes.policies : []).forEach((name) => {
+      if (name !== '*' && !trustedTypesPolicyName.test(name)) {
+        throw new Error(`'${name}' is not a valid Trusted Types policy name`);
+      }
+    });
+
+    // the header config files we should generate, normalised into { format, filename } objects
+    this.headerOutputs = compact(flatten([this.opts.headerOutput])).map(
+      (output) => {
+        const { format, filename } =
+          typeof output === 'string' ? { format: output } : output;
+        if (!headerOutputFormats[format]) {
+          throw new Error(`'${format}' is not a valid header output format`);
+        }
+        return {
+          format,
+          filename: filename || headerOutputFormats[format].filename,
+        };
+      }
+    );
+
+    // the hashing method for the html file being processed. A function is resolved for each html file
+    this.hashingMethod = isFunction(this.opts.hashingMethod)
+      ? defaultAdditionalOpts.hashingMethod
+      : this.opts.hashingMethod;
+
+    // with preserveHtml, the checksums of the tags HtmlWebpackPlugin injects into the html file being processed
+    this.assetTagChecksums = null;
+
+    // the output generated for each html file, keyed by compilation so watch mode rebuilds start afresh
+    this.outputEntries = new WeakMap();
+
+    // the asset each integrity hash was worked out from, keyed by compilation, so it can be hashed again once real
+    // content hashing has rewritten it
+    this.integrityAssets = new WeakMap();
+
+    // the compilations whose assets have been scanned for Trusted Types policies
+    this.scannedCompilations = new WeakSet();
+  }
+
   /**
-   * Setup for our plugin
-   * @param {object} policy - the policy object - see defaultPolicy above for the structure
-   * @param {object} additionalOpts - additional config options - see defaultAdditionalOpts above for options available
+   * Resolves the options which can be set as sync or async functions of the page being built, i.e. the policies,
+   * hashEnabled, nonceEnabled and hashingMethod, and then builds the options for this HtmlWebpackPlugin instance
+   * @param {object} compilation - the webpack compilation object
+   * @param {object} htmlPluginData - the HtmlWebpackPlugin data object
+   * @param {function} compileCb - the callback function to continue webpack compilation
    */
-  constructor(policy = {}, additionalOpts = {}) {
-    // the policy passed in from the CspHtmlWebpackPlugin instance
-    this.cspPluginPolicy = Object.freeze(policy);
-
-    // the additional options that this plugin allows
-    this.opts = Object.freeze({ ...defaultAdditionalOpts, ...additionalOpts });
+  resolveOptions(compilation, htmlPluginData, compileCb) {
+    const resolve = (option) =>
+      resolveOption(option, htmlPluginData, compilation);
+    const getInstanceOption = (key, defaultValue) =>
+      get(htmlPluginData, `plugin.options.cspPlugin.${key}`, defaultValue);
 
-    // valid hashes from https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Content-Security-Policy/script-src#Sources
-    if (!['sha256', 'sha384', 'sha512'].includes(this.opts.hashingMethod)) {
-      throw new Error(
-        `'${this.opts.hashingMethod}' is not a valid hashing method`
+    Promise.all([
+      resolve(this.cspPluginPolicy),
+      resolve(getInstanceOption('policy', {})),
+      resolve(this.opts.hashEnabled),
+      resolve(getInstanceOption('hashEnabled', {})),
+      resolve(this.opts.nonceEnabled),
+      resolve(getInstanceOption('nonceEnabled', {})),
+      resolve(this.opts.hashingMethod),
+    ])
+      .then(
+        ([
+          cspPluginPolicy,
+          instancePolicy,
+          cspPluginHashEnabled,
+          instanceHashEnabled,
+          cspPluginNonceEnabled,
+          instanceNonceEnabled,
+          hashingMethod,
+        ]) =>
+          this.mergeOptions(compilation, htmlPluginData, {
+            cspPluginPolicy,
+            instancePolicy,
+            cspPluginHashEnabled,
+            instanceHashEnabled,
+            cspPluginNonceEnabled,
+            instanceNonceEnabled,
+            hashingMethod,
+          })
+      )
+      .then(
+        () => compileCb(null, htmlPluginData),
+        (error) => compileCb(error)
       );
-    }
   }
 
   /**
    * Builds options based on settings passed into the CspHtmlWebpackPlugin instance, and the HtmlWebpackPlugin instance
-   * Policy: combines default, csp instance and html webpack instance policies defined. Latter policy rules always override former
+   * Policy: combines default (or preset), csp instance and html webpack instance policies defined. Latter policy rules
+   * override former, unless a merge strategy has been set for them
    * HashEnabled: sets whether we should add hashes for inline scripts/styles
    * NonceEnabled: sets whether we should add nonce attrs for external scripts/styles
+   * IntegrityEnabled: sets whether we should add integrity attrs and hashes for external scripts/styles built by webpack
+   * AttributeHashes: sets whether, and where, we should add hashes for inline event handlers and style attributes
+   * Reporting: sets the endpoints violation reports should be sent to
+   * Lint: sets which security lint rules the policy is checked against, and their severity
+   * DevMode: sets whether the policy should be loosened for hot reloading
+   * HostAllowlist: sets whether the origins of other resources in the html should be added to the policy
+   * HashingMethod: sets the algorithm hashes are created with
    * @param {object} compilation - the webpack compilation object
    * @param {object} htmlPluginData - the HtmlWebpackPlugin data object
-   * @param {function} compileCb - the callback function to continue webpack compilation
+   * @param {object} resolved - the options which could be set as functions, resolved by resolveOptions
    */
-  mergeOptions(compilation, htmlPluginData, compileCb) {
+  mergeOptions(compilation, htmlPluginData, resolved) {
     // 1. Let's create the policy we want to use for this HtmlWebpackPlugin instance
-    // CspHtmlWebpackPlugin and HtmlWebpackPlugin policies merged
-    const userPolicy = Object.freeze({
-      ...this.cspPluginPolicy,
-      ...get(htmlPluginData, 'plugin.options.cspPlugin.policy', {}),
+    // The preset, or defaultPolicy, CspHtmlWebpackPlugin and HtmlWebpackPlugin policies are merged in that order, using
+    // the merge strategy for each directive. A preset on the HtmlWebpackPlugin instance replaces the
+    // CspHtmlWebpackPlugin one, as does a merge strategy
+    const instanceMergeStrategy = get(
+      htmlPluginData,
+      'plugin.options.cspPlugin.mergeStrategy',
+      this.opts.mergeStrategy
+    );
+    const unknownMergeStrategies = getUnknownMergeStrategies(
+      instanceMergeStrategy
+    );
+    unknownMergeStrategies.forEach((strategy) => {
+      compilation.errors.push(
+        new Error(`CSP: '${strategy}' is not a valid merge strategy`)
+      );
     });
+    const mergeStrategy = unknownMergeStrategies.length
+      ? this.opts.mergeStrategy
+      : instanceMergeStrategy;
+    const preset = get(
+      htmlPluginData,
+      'plugin.options.cspPlugin.preset',
+      this.opts.preset
+    );
+    const unknownPresets = preset ? getUnknownPresets(preset) : [];
+    unknownPresets.forEach((name) => {
+      compilation.errors.push(
+        new Error(`CSP: '${name}' is not a valid preset`)
+      );
+    });
+    const basePolicy =
+      preset && !unknownPresets.length ? resolvePreset(preset) : defaultPolicy;
+    this.policy = Object.freeze(
+      mergePolicies(
+        [basePolicy, resolved.cspPluginPolicy, resolved.instancePolicy],
+        mergeStrategy
+      )
+    );
 
-    // defaultPolicy and userPolicy merged
-    this.policy = Object.freeze({ ...defaultPolicy, ...userPolicy });
-
-    // and now validate it
-    this.validatePolicy(compilation);
+    // The report-only policy is built from the CspHtmlWebpackPlugin and HtmlWebpackPlugin report-only policies only.
+    // It isn't merged with the default policy, and can be turned off for an instance by setting it to false
+    const instanceReportOnlyPolicy = get(
+      htmlPluginData,
+      'plugin.options.cspPlugin.reportOnlyPolicy',
+      {}
+    );
+    const reportOnlyPolicy =
+      instanceReportOnlyPolicy === false
+        ? {}
+        : mergePolicies(
+            [this.opts.reportOnlyPolicy || {}, instanceReportOnlyPolicy],
+            mergeStrategy
+          );
+    this.reportOnlyPolicy = Object.keys(reportOnlyPolicy).length
+      ? Object.freeze(reportOnlyPolicy)
+      : null;
 
     // 2. Lets set which hashes and nonces are enabled for this HtmlWebpackPlugin instance
+    // In development, style-loader injects <style> elements which can't be hashed, so styles are allowed with
+    // 'unsafe-inline' instead, which browsers would ignore alongside a hash or nonce
+    this.devMode =
+      this.opts.devMode === 'auto'
+        ? compilation.options.mode === 'development' || isDevServerRunning()
+        : this.opts.devMode;
+    const devStyleSettings = this.devMode ? { 'style-src-elem': false } : {};
+
     this.hashEnabled = Object.freeze({
-      ...this.opts.hashEnabled,
-      ...get(htmlPluginData, 'plugin.options.cspPlugin.hashEnabled', {}),
+      ...resolved.cspPluginHashEnabled,
+      ...resolved.instanceHashEnabled,
+      ...devStyleSettings,
     });
 
     this.nonceEnabled = Object.freeze({
-      ...this.opts.nonceEnabled,
-      ...get(htmlPluginData, 'plugin.options.cspPlugin.nonceEnabled', {}),
+      ...resolved.cspPluginNonceEnabled,
+      ...resolved.instanceNonceEnabled,
+      ...devStyleSettings,
+    });
+
+    // The script loader replaces the external scripts with an inline script, which can only be allowed by its hash
+    this.scriptLoader = get(
+      htmlPluginData,
+      'plugin.options.cspPlugin.scriptLoader',
+      this.opts.scriptLoader
+    );
+    if (
+      this.scriptLoader &&
+      getDirectiveSetting(this.hashEnabled, 'script-src-elem', true) === false
+    ) {
+      compilation.errors.push(
+        new Error(
+          'CSP: the scriptLoader option needs hashes to be enabled for script-src'
+        )
+      );
+    }
+
+    // a hashing method returned by a function can only be checked now, so fall back to the default if it's invalid
+    const [invalidHashingMethod] = getInvalidHashingMethods(
+      resolved.hashingMethod
+    );
+    if (invalidHashingMethod === undefined) {
+      this.hashingMethod = resolved.hashingMethod;
+    } else {
+      compilation.errors.push(
+        new Error(
+          `CSP: '${invalidHashingMethod}' is not a valid hashing method`
+        )
+      );
+      this.hashingMethod = defaultAdditionalOpts.hashingMethod;
+    }
+
+    this.integrityEnabled = Object.freeze({
+      ...this.opts.integrityEnabled,
+      ...get(htmlPluginData, 'plugin.options.cspPlugin.integrityEnabled', {}),
+    });
+
+    this.attributeHashes = Object.freeze({
+      ...this.opts.attributeHashes,
+      ...get(htmlPluginData, 'plugin.options.cspPlugin.attributeHashes', {}),
     });
 
     // 3. Get the processFn for this HtmlWebpackPlugin instance.
@@ -129,42 +1755,560 @@ class CspHtmlWebpackPlugin {
       this.opts.processFn
     );
 
-    return compileCb(null, htmlPluginData);
+    // 4. Get the reporting endpoints for this HtmlWebpackPlugin instance, which replace the CspHtmlWebpackPlugin ones
+    const reporting = get(
+      htmlPluginData,
+      'plugin.options.cspPlugin.reporting',
+      this.opts.reporting
+    );
+    this.reporting = reporting
+      ? Object.freeze({
+          reportUri: true,
+          ...reporting,
+          reportTo:
+            reporting.reportTo || Object.keys(reporting.endpoints || {})[0],
+        })
+      : null;
+
+    // 5. Get the lint rules for this HtmlWebpackPlugin instance, which replace the CspHtmlWebpackPlugin ones
+    const lint = get(
+      htmlPluginData,
+      'plugin.options.cspPlugin.lint',
+      this.opts.lint
+    );
+    this.lint = lint
+      ? Object.freeze({ ...defaultLint, ...(lint === true ? {} : lint) })
+      : null;
+
+    // 6. Get the host allowlisting settings for this HtmlWebpackPlugin instance, which replace the CspHtmlWebpackPlugin ones
+    const hostAllowlist = get(
+      htmlPluginData,
+      'plugin.options.cspPlugin.hostAllowlist',
+      this.opts.hostAllowlist
+    );
+    this.hostAllowlist = hostAllowlist
+      ? Object.freeze({
+          exclude: [],
+          ...(hostAllowlist === true ? {} : hostAllowlist),
+        })
+      : null;
+
+    // 7. and now validate it all, using the severities set for this HtmlWebpackPlugin instance
+    this.validation = Object.freeze({
+      ...defaultValidation,
+      ...this.opts.validation,
+      ...get(htmlPluginData, 'plugin.options.cspPlugin.validation', {}),
+    });
+    this.validatePolicy(compilation);
+    if (this.reportOnlyPolicy) {
+      this.validatePolicy(compilation, this.reportOnlyPolicy);
+    }
+    this.validateReporting(compilation);
+    Object.keys(this.attributeHashes).forEach((key) => {
+      if (
+        ![false, 'attr', 'unsafe-hashes'].includes(this.attributeHashes[key])
+      ) {
+        compilation.errors.push(
+          new Error(
+            `CSP: attributeHashes for ${key} should be one of false, 'attr' or 'unsafe-hashes'`
+          )
+        );
+      }
+    });
   }
 
   /**
-   * Validate the policy by making sure that all static sources have been wrapped in apostrophes
-   * i.e. policy should contain 'self' instead of self
+   * Validate the reporting endpoints, making sure they have valid names and secure urls
+   * Relative urls are allowed, as they will be resolved against the url of the html file
    * @param {object} compilation - the webpack compilation object
    */
-  validatePolicy(compilation) {
-    const staticSources = [
-      'self',
-      'unsafe-inline',
-      'unsafe-eval',
-      'none',
-      'strict-dynamic',
-      'report-sample',
-    ];
-    const sourcesRegexes = staticSources.map(
-      (source) => new RegExp(`\\s${source}\\s`)
-    );
+  validateReporting(compilation) {
+    if (!this.reporting) {
+      return;
+    }
 
-    Object.keys(this.policy).forEach((key) => {
-      const val = Array.isArray(this.policy[key])
-        ? compact(uniq(this.policy[key])).join(' ')
-        : this.policy[key];
+    const { endpoints = {}, reportTo } = this.reporting;
+    Object.keys(endpoints).forEach((name) => {
+      // endpoint names are structured header keys
+      if (!/^[a-z*][a-z0-9_.*-]*$/.test(name)) {
+        compilation.errors.push(
+          new Error(
+            `CSP: reporting endpoint name ${name} should only contain lowercase letters, digits, _, -, . and *`
+          )
+        );
+      }
 
-      for (let i = 0, len = sourcesRegexes.length; i < len; i += 1) {
-        if (` ${val} `.match(sourcesRegexes[i])) {
-          compilation.errors.push(
-            new Error(
-              `CSP: policy for ${key} contains ${staticSources[i]} which should be wrapped in apostrophes`
-            )
+      if (!isSecureReportingUrl(endpoints[name])) {
+        compilation.errors.push(
+          new Error(
+            `CSP: reporting endpoint ${name} has an invalid url ${endpoints[name]}. It should be a relative path, or an https url`
+          )
+        );
+      }
+    });
+
+    if (!endpoints[reportTo]) {
+      compilation.errors.push(
+        new Error(
+          `CSP: reporting.reportTo is set to ${reportTo}, which isn't one of the reporting endpoints defined`
+        )
+      );
+    }
+  }
+
+  /**
+   * Gets the report-to and report-uri directives which should be added to every policy built
+   * @return {object}
+   */
+  getReportingDirectives() {
+    if (!this.reporting) {
+      return {};
+    }
+
+    const { endpoints = {}, reportTo, reportUri } = this.reporting;
+    if (!endpoints[reportTo]) {
+      return {};
+    }
+
+    return {
+      // report-uri is deprecated, but is still the only reporting directive some browsers support
+      ...(reportUri ? { 'report-uri': endpoints[reportTo] } : {}),
+      'report-to': reportTo,
+    };
+  }
+
+  /**
+   * Gets the Trusted Types directives which should be added to a policy, merged with any it already defines
+   * 'none' is dropped when there are policy names, as browsers would ignore it
+   * @param {object} policy - the policy object being built
+   * @return {object}
+   */
+  getTrustedTypesDirectives(policy) {
+    if (!this.trustedTypes) {
+      return {};
+    }
+
+    const { policies, allowDuplicates } = this.trustedTypes;
+    const names = uniq(
+      compact(
+        flatten([
+          policy['trusted-types'],
+          policies,
+          allowDuplicates ? ["'allow-duplicates'"] : [],
+        ])
+          .join(' ')
+          .split(/\s+/)
+      )
+    ).filter((name) => name.toLowerCase() !== "'none'");
+
+    return {
+      'require-trusted-types-for': "'script'",
+      'trusted-types': names.length ? names : "'none'",
+    };
+  }
+
+  /**
+   * Finds the names of the Trusted Types policies created by the emitted js, and warns about any which the
+   * trustedTypes option doesn't allow. Only names passed to createPolicy as string literals can be found
+   * Each compilation is only scanned once, as the assets are shared by every html file
+   * @param {object} compilation - the webpack compilation object
+   */
+  scanTrustedTypesPolicies(compilation) {
+    if (
+      !this.trustedTypes ||
+      !this.trustedTypes.scan ||
+      this.scannedCompilations.has(compilation)
+    ) {
+      return;
+    }
+    this.scannedCompilations.add(compilation);
+
+    const { policies } = this.trustedTypes;
+    if (policies.includes('*')) {
+      return;
+    }
+
+    Object.keys(compilation.assets)
+      .filter((assetName) => /\.m?js$/.test(assetName.split('?')[0]))
+      .forEach((assetName) => {
+        const source = compilation.assets[assetName].source().toString();
+        const createPolicy = /trustedTypes\s*\.\s*createPolicy\s*\(\s*(['"`])([^'"`]*)\1/g;
+        const names = [];
+        let match = createPolicy.exec(source);
+        while (match) {
+          names.push(match[2]);
+          match = createPolicy.exec(source);
+        }
+
+        uniq(names)
+          .filter((name) => !policies.includes(name))
+          .forEach((name) => {
+            compilation.warnings.push(
+              new Error(
+                `CSP: ${assetName} creates the Trusted Types policy '${name}', which isn't in the trustedTypes policies option`
+              )
+            );
+          });
+      });
+  }
+
+  /**
+   * Builds the Reporting-Endpoints header value, which maps the endpoint names used in report-to onto urls
+   * @return {string|null}
+   */
+  buildReportingEndpoints() {
+    if (!this.reporting) {
+      return null;
+    }
+
+    const { endpoints = {} } = this.reporting;
+    const names = Object.keys(endpoints);
+    return names.length
+      ? names.map((name) => `${name}="${endpoints[name]}"`).join(', ')
+      : null;
+  }
+
+  /**
+   * Validate the policy against the CSP3 grammar, making sure that every directive is known and not deprecated,
+   * and that every source is valid e.g. policy should contain 'self' instead of self
+   * Each problem found is added to the compilation errors or warnings, depending on the validation option
+   * @param {object} compilation - the webpack compilation object
+   * @param {object} policy - the policy to validate, defaults to the enforced policy
+   */
+  validatePolicy(compilation, policy = this.policy) {
+    Object.keys(policy).forEach((key) => {
+      const directive = key.toLowerCase();
+      const sources = compact(
+        uniq(flatten([policy[key]]).join(' ').split(/\s+/))
+      );
+      const valueType = directiveValueTypes[directive];
+
+      if (!valueType) {
+        const suggestion = suggestDirective(directive);
+        this.reportProblem(
+          compilation,
+          'unknown-directive',
+          `CSP: ${key} is not a valid directive${
+            suggestion ? `. Did you mean ${suggestion}?` : ''
+          }`
+        );
+        return;
+      }
+
+      if (deprecatedDirectives[directive]) {
+        this.reportProblem(
+          compilation,
+          'deprecated-directive',
+          `CSP: ${key} is deprecated, use ${deprecatedDirectives[directive]} instead`
+        );
+      }
+
+      if (['source-list', 'ancestor-source-list'].includes(valueType)) {
+        sources.forEach((source) => {
+          const problem = checkSource(source, directive);
+          if (problem) {
+            this.reportProblem(
+              compilation,
+              problem[0],
+              `CSP: policy for ${key} ${problem[1]}`
+            );
+          }
+        });
+
+        if (
+          sources.length > 1 &&
+          sources.some((source) => source.toLowerCase() === "'none'")
+        ) {
+          this.reportProblem(
+            compilation,
+            'none-with-other-sources',
+            `CSP: policy for ${key} contains 'none' alongside other sources, so 'none' will be ignored`
+          );
+        }
+      } else if (valueType === 'empty' && sources.length) {
+        this.reportProblem(
+          compilation,
+          'invalid-directive-value',
+          `CSP: ${key} doesn't take a value`
+        );
+      } else if (valueType === 'sandbox') {
+        sources
+          .filter((token) => !sandboxTokens.includes(token.toLowerCase()))
+          .forEach((token) => {
+            this.reportProblem(
+              compilation,
+              'invalid-directive-value',
+              `CSP: policy for ${key} contains ${token} which is not a valid sandbox token`
+            );
+          });
+      } else if (
+        valueType === 'webrtc' &&
+        (sources.length !== 1 ||
+          !["'allow'", "'block'"].includes(sources[0].toLowerCase()))
+      ) {
+        this.reportProblem(
+          compilation,
+          'invalid-directive-value',
+          `CSP: policy for ${key} should be either 'allow' or 'block'`
+        );
+      } else if (valueType === 'trusted-types') {
+        sources.forEach((source) => {
+          const lowerSource = source.toLowerCase();
+          if (trustedTypesKeywords.includes(`'${lowerSource}'`)) {
+            this.reportProblem(
+              compilation,
+              'unquoted-keyword',
+              `CSP: policy for ${key} contains ${source} which should be wrapped in apostrophes`
+            );
+          } else if (
+            source.startsWith("'") &&
+            !trustedTypesKeywords.includes(lowerSource)
+          ) {
+            this.reportProblem(
+              compilation,
+              'invalid-keyword',
+              `CSP: policy for ${key} contains ${source} which is not a valid keyword. It should be one of ${trustedTypesKeywords.join(
+                ', '
+              )}`
+            );
+          } else if (
+            !source.startsWith("'") &&
+            source !== '*' &&
+            !trustedTypesPolicyName.test(source)
+          ) {
+            this.reportProblem(
+              compilation,
+              'invalid-directive-value',
+              `CSP: policy for ${key} contains ${source} which is not a valid Trusted Types policy name`
+            );
+          }
+        });
+
+        if (
+          sources.length > 1 &&
+          sources.some((source) => source.toLowerCase() === "'none'")
+        ) {
+          this.reportProblem(
+            compilation,
+            'none-with-other-sources',
+            `CSP: policy for ${key} contains 'none' alongside other sources, so 'none' will be ignored`
           );
         }
+      } else if (valueType === 'trusted-types-sink-groups') {
+        sources
+          .filter(
+            (source) => !trustedTypesSinkGroups.includes(source.toLowerCase())
+          )
+          .forEach((source) => {
+            this.reportProblem(
+              compilation,
+              trustedTypesSinkGroups.includes(`'${source.toLowerCase()}'`)
+                ? 'unquoted-keyword'
+                : 'invalid-directive-value',
+              trustedTypesSinkGroups.includes(`'${source.toLowerCase()}'`)
+                ? `CSP: policy for ${key} contains ${source} which should be wrapped in apostrophes`
+                : `CSP: policy for ${key} contains ${source}, but the only sink group is 'script'`
+            );
+          });
+      } else if (valueType === 'token' && sources.length > 1) {
+        this.reportProblem(
+          compilation,
+          'invalid-directive-value',
+          `CSP: policy for ${key} should only contain a single endpoint name`
+        );
       }
     });
+
+    // browsers ignore reporting directives in meta tags, so warn if that's the only place they're going
+    if (
+      policy === this.policy &&
+      this.isMetaTagOnly() &&
+      (this.reporting ||
+        Object.keys(policy).some((key) => reportingDirectives.includes(key)))
+    ) {
+      this.reportProblem(
+        compilation,
+        'ignored-in-meta-tag',
+        `CSP: ${reportingDirectives.join(
+          ' and '
+        )} are ignored by browsers when the policy is delivered in a meta tag. Use the headerOutput, manifest or processFn options to deliver the policy as a header`
+      );
+    }
+
+    // the other header-only directives are left out of the meta tag, so warn that they aren't protecting anything
+    const ignoredDirectives = Object.keys(policy).filter(
+      (key) =>
+        headerOnlyDirectives.includes(key.toLowerCase()) &&
+        !reportingDirectives.includes(key.toLowerCase())
+    );
+    if (
+      policy === this.policy &&
+      this.isMetaTagOnly() &&
+      ignoredDirectives.length
+    ) {
+      this.reportProblem(
+        compilation,
+        'ignored-in-meta-tag',
+        `CSP: ${ignoredDirectives.join(' and ')} ${
+          ignoredDirectives.length > 1 ? 'are' : 'is'
+        } ignored by browsers when the policy is delivered in a meta tag, so ${
+          ignoredDirectives.length > 1 ? 'they have' : 'it has'
+        } been left out of it. Use the headerOutput, manifest or processFn options to deliver the policy as a header`
+      );
+    }
+  }
+
+  /**
+   * Lints the policy for weak configurations which make it easier to bypass, similar to CSP Evaluator
+   * Rules about the configuration are checked against the merged policy, while rules which depend on the hashes
+   * and nonces added are checked against the final built policy
+   * @param {object} compilation - the webpack compilation object
+   * @param {object} htmlPluginData - the HtmlWebpackPlugin data object
+   * @param {string} builtPolicy - the final built policy
+   */
+  lintPolicy(compilation, htmlPluginData, builtPolicy) {
+    if (!this.lint) {
+      return;
+    }
+
+    const report = (rule, message) =>
+      this.reportProblem(
+        compilation,
+        rule,
+        `CSP: ${htmlPluginData.outputName}: ${message} (${rule})`,
+        this.lint
+      );
+
+    const getSources = (policy, directive) =>
+      policy[directive] === undefined
+        ? undefined
+        : compact(
+            flatten([policy[directive]]).join(' ').split(/\s+/)
+          ).map((source) => source.toLowerCase());
+    const merged = Object.keys(this.policy).reduce(
+      (obj, key) => ({
+        ...obj,
+        [key.toLowerCase()]: getSources(this.policy, key),
+      }),
+      {}
+    );
+    const built = parsePolicy(builtPolicy);
+
+    // scripts fall back to default-src if there's no script-src
+    const scriptDirective = ['script-src', 'default-src'].find(
+      (directive) => merged[directive]
+    );
+    if (!scriptDirective) {
+      report(
+        'missing-script-src',
+        'there is no script-src or default-src, so scripts are not restricted'
+      );
+    } else {
+      const scriptSources = merged[scriptDirective];
+      const builtScriptSources = getSources(built, scriptDirective) || [];
+
+      // browsers ignore 'unsafe-inline' if there's a nonce or hash
+      if (
+        builtScriptSources.includes("'unsafe-inline'") &&
+        !builtScriptSources.some((source) =>
+          /^'(nonce|sha256|sha384|sha512)-/.test(source)
+        )
+      ) {
+        report(
+          'script-unsafe-inline',
+          `${scriptDirective} contains 'unsafe-inline' without a nonce or hash to fall back on, so any inline script can run`
+        );
+      }
+
+      if (scriptSources.includes("'unsafe-eval'")) {
+        report(
+          'script-unsafe-eval',
+          `${scriptDirective} contains 'unsafe-eval', which allows strings to be run as code with eval()`
+        );
+      }
+
+      if (scriptSources.includes('data:')) {
+        report(
+          'script-data-uri',
+          `${scriptDirective} contains data:, which allows scripts to be loaded from any data: url`
+        );
+      }
+
+      // 'strict-dynamic' makes browsers ignore host and scheme allowlists
+      if (!scriptSources.includes("'strict-dynamic'")) {
+        scriptSources
+          .filter((source) =>
+            ['*', 'http:', 'https:', 'http://*', 'https://*'].includes(source)
+          )
+          .forEach((source) => {
+            report(
+              'script-wildcard',
+              `${scriptDirective} contains ${source}, which allows scripts to be loaded from almost anywhere`
+            );
+          });
+
+        scriptSources
+          .filter((source) => {
+            const host = source
+              .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+              .split(/[:/]/)[0];
+            return jsonpHosts.some(
+              (jsonpHost) =>
+                jsonpHost === host ||
+                (host.startsWith('*.') && jsonpHost.endsWith(host.slice(1)))
+            );
+          })
+          .forEach((source) => {
+            report(
+              'script-jsonp-host',
+              `${scriptDirective} contains ${source}, which hosts JSONP endpoints or libraries that can be used to bypass the policy`
+            );
+          });
+      }
+    }
+
+    if (!merged['object-src'] && !merged['default-src']) {
+      report(
+        'missing-object-src',
+        "there is no object-src or default-src, so plugins are not restricted. Set object-src to 'none'"
+      );
+    }
+
+    if (!merged['base-uri']) {
+      report(
+        'missing-base-uri',
+        "there is no base-uri, so a <base> tag can change where relative scripts are loaded from. Set base-uri to 'self' or 'none'"
+      );
+    }
+  }
+
+  /**
+   * Adds a problem found in the policy to the compilation errors or warnings, depending on its configured severity
+   * @param {object} compilation - the webpack compilation object
+   * @param {string} rule - the id of the problem, one of the keys of the severities
+   * @param {string} message - the description of the problem
+   * @param {object} severities - the severity of each rule, defaults to the validation severities
+   */
+  reportProblem(compilation, rule, message, severities = this.validation) {
+    const severity = severities[rule];
+    if (severity === 'error') {
+      compilation.errors.push(new Error(message));
+    } else if (severity === 'warning') {
+      compilation.warnings.push(new Error(message));
+    }
+  }
+
+  /**
+   * Checks whether the policy is only being delivered in the meta tag, i.e. the default processFn is being used
+   * and no header config files or manifest are being generated
+   * @return {boolean}
+   */
+  isMetaTagOnly() {
+    return (
+      this.processFn === defaultProcessFn &&
+      !this.headerOutputs.length &&
+      !this.opts.manifest
+    );
   }
 
   /**
@@ -182,115 +2326,661 @@ class CspHtmlWebpackPlugin {
       return false;
     }
 
-    if (isFunction(this.opts.enabled)) {
-      // run the function to check if the plugin has been disabled
-      return this.opts.enabled(htmlPluginData);
-    }
+    if (isFunction(this.opts.enabled)) {
+      // run the function to check if the plugin has been disabled
+      return this.opts.enabled(htmlPluginData);
+    }
+
+    // otherwise assume it's a boolean
+    return this.opts.enabled;
+  }
+
+  /**
+   * Create a random nonce which we will set onto our assets, using the byte length and encoding configured
+   * @return {string}
+   */
+  createNonce() {
+    return createNonce(this.opts.nonceByteLength, this.opts.nonceEncoding);
+  }
+
+  /**
+   * Generates nonces for the policy / selector we define
+   * @param {object} $ - the Cheerio instance
+   * @param {string} directive - one of 'script-src-elem' and 'style-src-elem'
+   * @param {string|object} selector - a Cheerio selector string, or selection, for getting the elements for this policy
+   * @param {function(): string} getNonce - returns the nonce for the next element
+   * @return {object[]} - a report of each nonce, with the element it was attached to
+   */
+  setNonce($, directive, selector, getNonce) {
+    if (getDirectiveSetting(this.nonceEnabled, directive, true) === false) {
+      // we don't want to add any nonce for this specific policy
+      return [];
+    }
+
+    // the same nonces are used in both the enforced and report-only policies
+    const policyStrs = compact([
+      this.policy,
+      this.reportOnlyPolicy,
+    ]).map((policy) =>
+      flatten([policy[getGoverningDirective(policy, directive)]]).join(' ')
+    );
+
+    // get a list of already defined urls for this policy type, for each policy
+    const urlLists = policyStrs.map(
+      (policyStr) => policyStr.match(/https?:\/\/[^'"]+/g) || []
+    );
+
+    // check if the user has defined 'strict-dynamic' in their policies
+    // if so, we will need to include the nonce even if the domain has been whitelisted for it
+    const hasStrictDynamic = policyStrs.some((policyStr) =>
+      policyStr.includes("'strict-dynamic'")
+    );
+
+    return $(selector)
+      .map((i, element) => {
+        // scripts with an integrity attribute are allowed by their hash instead. Stylesheets always need their nonce
+        if (
+          directive === 'script-src-elem' &&
+          getDirectiveSetting(this.integrityEnabled, directive, false) &&
+          $(element).attr('integrity')
+        ) {
+          return null;
+        }
+
+        // get the src/href and check if it's already been whitelisted by the user in every policy.
+        // if it has, and the dev hasn't defined strict-dynamic, there's no reason to add a nonce for it
+        if (!hasStrictDynamic) {
+          const srcOrHref = $(element).attr('src') || $(element).attr('href');
+          if (
+            urlLists.every((urls) =>
+              urls.some((url) => srcOrHref.startsWith(url))
+            )
+          ) {
+            return null;
+          }
+        }
+
+        // create a nonce (or use the placeholder, which will be swapped for a nonce on each request), and attach to the script tag
+        const nonce =
+          this.opts.nonceMode === 'placeholder'
+            ? this.opts.noncePlaceholder
+            : getNonce();
+        $(element).attr('nonce', nonce);
+
+        // return in the format csp needs
+        return {
+          source: `'nonce-${nonce}'`,
+          element: describeElement(element),
+        };
+      })
+      .filter((entry) => entry !== null)
+      .get();
+  }
+
+  /**
+   * Creates the function which returns the nonce for each element. Nonces are created for each element, or shared by
+   * the whole document, in which case each directive only lists it once
+   * @param {boolean} useTokens - whether to return a token in place of each nonce, for output which will be cached
+   * @return {function(): string}
+   */
+  createNonceGetter(useTokens = false) {
+    let count = 0;
+    const create = useTokens
+      ? () => {
+          count += 1;
+          return createNonceToken(count);
+        }
+      : () => this.createNonce();
+    return this.opts.nonceScope === 'document' ? once(create) : create;
+  }
+
+  /**
+   * Adds integrity attributes and nonces to the external scripts and styles
+   * @param {object} $ - the Cheerio instance
+   * @param {object} compilation - the webpack compilation object
+   * @param {function(): string} getNonce - returns the nonce for the next element
+   * @param {function(object): boolean} isIncluded - whether an element should be given them
+   * @return {{scriptIntegrity: object[], styleIntegrity: object[], scriptNonce: object[], styleNonce: object[]}}
+   */
+  setExternalChecksums($, compilation, getNonce, isIncluded) {
+    const scripts = $('script[src]').filter((i, element) =>
+      isIncluded(element)
+    );
+    const styles = $('link[rel="stylesheet"]').filter((i, element) =>
+      isIncluded(element)
+    );
+
+    return {
+      scriptIntegrity: this.setIntegrity(
+        $,
+        compilation,
+        'script-src-elem',
+        scripts
+      ),
+      styleIntegrity: this.setIntegrity(
+        $,
+        compilation,
+        'style-src-elem',
+        styles
+      ),
+      scriptNonce: this.setNonce($, 'script-src-elem', scripts, getNonce),
+      styleNonce: this.setNonce($, 'style-src-elem', styles, getNonce),
+    };
+  }
+
+  /**
+   * With preserveHtml, adds the integrity attributes and nonces to the tags HtmlWebpackPlugin is about to inject,
+   * rather than to the elements in the html it emits. HtmlWebpackPlugin then writes them into the html itself
+   * @param {object} compilation - the webpack compilation object
+   * @param {object} data - the HtmlWebpackPlugin data object, with the headTags and bodyTags
+   * @param {function} compileCb - the callback function to continue webpack compilation
+   */
+  setAssetTagChecksums(compilation, data, compileCb) {
+    this.assetTagChecksums = null;
+    if (!this.opts.preserveHtml || !this.isEnabled(data)) {
+      return compileCb(null, data);
+    }
+
+    // without injection, the template writes out the tags itself, if it uses them at all, so they're found in the html
+    if (get(data, 'plugin.options.inject') === false) {
+      return compileCb(null, data);
+    }
+
+    // the script loader replaces the injected scripts later on, so they don't need anything
+    const tags = [...data.headTags, ...data.bodyTags].filter(
+      ({ tagName, attributes }) =>
+        (tagName === 'script' && attributes.src && !this.scriptLoader) ||
+        (tagName === 'link' && attributes.rel === 'stylesheet')
+    );
+
+    // the tags are turned into elements, so the checksums are worked out exactly as they are for the template's
+    const $ = cheerio.load('', {
+      decodeEntities: false,
+      _useHtmlParser2: true,
+    });
+    const elements = tags.map(({ tagName, attributes }) => {
+      const element = $(`<${tagName}>`);
+      Object.keys(attributes)
+        .filter((name) => attributes[name] !== false)
+        .forEach((name) => {
+          element.attr(name, attributes[name] === true ? '' : attributes[name]);
+        });
+      $.root().append(element);
+      return element[0];
+    });
+
+    const getNonce = this.createNonceGetter(this.isCacheable(compilation));
+    const checksums = this.setExternalChecksums(
+      $,
+      compilation,
+      getNonce,
+      () => true
+    );
 
-    // otherwise assume it's a boolean
-    return this.opts.enabled;
+    // only new attributes are copied back onto the tags
+    tags.forEach(({ attributes }, i) => {
+      const { attribs } = elements[i];
+      Object.assign(
+        attributes,
+        Object.keys(attribs)
+          .filter((name) => attributes[name] === undefined)
+          .reduce((obj, name) => ({ ...obj, [name]: attribs[name] }), {})
+      );
+    });
+
+    this.assetTagChecksums = {
+      ...checksums,
+      outputName: data.outputName,
+      urls: tags.map(({ attributes }) => attributes.src || attributes.href),
+      getNonce,
+    };
+    return compileCb(null, data);
   }
 
   /**
-   * Create a random nonce which we will set onto our assets
-   * @return {string}
+   * Replaces the external scripts in the html with a single inline script which loads them, for a hash-based strict
+   * policy. The loader is hashed along with the other inline scripts, and 'strict-dynamic' allows what it loads
+   * @param {object} $ - the Cheerio instance
+   * @return {string[]} - the srcs of the scripts the loader will load
    */
   // eslint-disable-next-line class-methods-use-this
-  createNonce() {
-    return crypto.randomBytes(16).toString('base64');
+  setScriptLoader($) {
+    const elements = $('script[src]');
+    if (!elements.length) {
+      return [];
+    }
+
+    const scripts = elements
+      .map((i, element) => ({
+        attributes: Object.keys(element.attribs).reduce(
+          (attributes, name) => ({
+            ...attributes,
+            [name]: decodeAttribute(element.attribs[name]),
+          }),
+          {}
+        ),
+        inHead: $(element).closest('head').length > 0,
+      }))
+      .get();
+
+    // async scripts, and blocking scripts in the head, are added straight away. Blocking scripts in the body expect the
+    // elements before them to exist, and deferred and module scripts run once the document has been parsed, so they
+    // wait until then. The blocking ones ran first in the original html, as they weren't deferred
+    const isAsync = ({ attributes }) => 'async' in attributes;
+    const isDeferred = ({ attributes }) =>
+      !isAsync({ attributes }) &&
+      ('defer' in attributes || attributes.type === 'module');
+    const isBlocking = (script) => !isAsync(script) && !isDeferred(script);
+    const toAttributes = ({ attributes }) => attributes;
+    const loader = createScriptLoader(
+      scripts
+        .filter(
+          (script) => isAsync(script) || (isBlocking(script) && script.inHead)
+        )
+        .map(toAttributes),
+      [
+        ...scripts.filter((script) => isBlocking(script) && !script.inHead),
+        ...scripts.filter(isDeferred),
+      ].map(toAttributes)
+    );
+
+    // the loader takes the place of the first script
+    elements.first().before(`<script>${loader}</script>`);
+    elements.remove();
+
+    return scripts.map(({ attributes }) => attributes.src);
   }
 
   /**
-   * Generates nonces for the policy / selector we define
+   * Adds integrity attributes to the external scripts/styles built by webpack, and returns the scripts' hashes for the
+   * policy. CSP3 allows external scripts when a hash in the policy matches their integrity attribute
+   * Elements which already have an integrity attribute keep it, and its hashes are returned instead
    * @param {object} $ - the Cheerio instance
-   * @param {string} policyName - one of 'script-src' and 'style-src'
-   * @param {string} selector - a Cheerio selector string for getting the hashable elements for this policy
-   * @return {string[]}
+   * @param {object} compilation - the webpack compilation object
+   * @param {string} directive - one of 'script-src-elem' and 'style-src-elem'
+   * @param {string|object} selector - a Cheerio selector string, or selection, for getting the external elements
+   * @return {object[]} - a report of each hash, with the element it came from
    */
-  setNonce($, policyName, selector) {
-    if (this.nonceEnabled[policyName] === false) {
-      // we don't want to add any nonce for this specific policy
+  setIntegrity($, compilation, directive, selector) {
+    if (!getDirectiveSetting(this.integrityEnabled, directive, false)) {
       return [];
     }
 
-    const policy = this.policy[policyName];
-    const policyStr = Array.isArray(policy) ? policy.join(' ') : policy;
-
-    // get a list of already defined urls for this policy type
-    const urls = policyStr.match(/https?:\/\/[^'"]+/g) || [];
+    const assetNames = Object.keys(compilation.assets);
 
-    // check if the user has defined 'strict-dynamic' in their policy
-    // if so, we will need to include the nonce even if the domain has been whitelisted for it
-    const hasStrictDynamic = policyStr.includes("'strict-dynamic'");
-
-    return $(selector)
+    const hashes = $(selector)
       .map((i, element) => {
-        // get the src/href and check if it's already been whitelisted by the user.
-        // if it has, and the dev hasn't defined strict-dynamic, there's no reason to add a nonce for it
-        if (!hasStrictDynamic) {
-          const srcOrHref = $(element).attr('src') || $(element).attr('href');
-          for (let j = 0, len = urls.length; j < len; j += 1) {
-            if (srcOrHref.startsWith(urls[j])) {
-              return null;
-            }
-          }
+        const integrity = $(element).attr('integrity');
+        if (integrity) {
+          return integrity
+            .split(/\s+/)
+            .filter((metadata) => /^sha(256|384|512)-/.test(metadata))
+            .map((metadata) => ({
+              source: `'${metadata.split('?')[0]}'`,
+              element: describeElement(element),
+            }));
         }
 
-        // create a nonce, and attach to the script tag
-        const nonce = this.createNonce();
-        $(element).attr('nonce', nonce);
+        // find the asset this element references. The url will be prefixed with the publicPath, so use the longest
+        // asset name the url ends with
+        const url = ($(element).attr('src') || $(element).attr('href')).split(
+          /[?#]/
+        )[0];
+        const assetName = assetNames
+          .filter((name) => url === name || url.endsWith(`/${name}`))
+          .sort((a, b) => b.length - a.length)[0];
+        if (!assetName) {
+          return null;
+        }
 
-        // return in the format csp needs
-        return `'nonce-${nonce}'`;
+        // with several hashing methods, browsers check the integrity against the strongest
+        const asset = compilation.assets[assetName].source();
+        const methods = getHashingMethods(this.hashingMethod, directive);
+        const metadata = methods.map(
+          (method) =>
+            `${method}-${crypto
+              .createHash(method)
+              .update(asset)
+              .digest('base64')}`
+        );
+        $(element).attr('integrity', metadata.join(' '));
+        const { contenthash } =
+          (compilation.assetsInfo && compilation.assetsInfo.get(assetName)) ||
+          {};
+        metadata.forEach((source, j) => {
+          this.recordIntegrityAsset(compilation, source, {
+            asset: assetName,
+            method: methods[j],
+            contenthash: compact(flatten([contenthash])),
+          });
+        });
+
+        // cross origin resources have to be fetched with CORS for their integrity to be checked
+        if (
+          /^(https?:)?\/\//.test(url) &&
+          $(element).attr('crossorigin') === undefined
+        ) {
+          $(element).attr('crossorigin', 'anonymous');
+        }
+
+        return metadata.map((source) => ({
+          source: `'${source}'`,
+          element: describeElement(element),
+        }));
       })
-      .filter((entry) => entry !== null)
       .get();
+
+    // CSP only matches hashes against the integrity of scripts, so stylesheets keep their nonce, and their hashes aren't
+    // added to the policy
+    return directive === 'script-src-elem' ? hashes : [];
+  }
+
+  /**
+   * Records the asset an integrity hash was worked out from, in the compilation it belongs to
+   * @param {object} compilation - the webpack compilation object
+   * @param {string} source - the integrity hash, e.g. sha256-123456abcdef
+   * @param {{asset: string, method: string, contenthash: string[]}} integrityAsset - the name of the asset, the
+   *   hashing method, and the content hashes the asset had when it was hashed
+   */
+  recordIntegrityAsset(compilation, source, integrityAsset) {
+    if (!this.integrityAssets.has(compilation)) {
+      this.integrityAssets.set(compilation, {});
+    }
+    this.integrityAssets.get(compilation)[source] = integrityAsset;
+  }
+
+  /**
+   * Hashes the scripts and styles given integrity attributes again, once real content hashing has rewritten them and
+   * updated their names. HtmlWebpackPlugin emits the html before that happens, so any hash which has changed is
+   * replaced in the html, and in the header config files and manifest
+   * @param {object} compilation - the webpack compilation object
+   */
+  updateIntegrity(compilation) {
+    const integrityAssets = this.integrityAssets.get(compilation) || {};
+    const assets = compilation.getAssets();
+    const replacements = Object.keys(integrityAssets).reduce((obj, source) => {
+      const { asset, method, contenthash } = integrityAssets[source];
+      const renamedAsset = findRenamedAsset(assets, asset, contenthash);
+      if (!renamedAsset) {
+        return obj;
+      }
+
+      const digest = `${method}-${crypto
+        .createHash(method)
+        .update(renamedAsset.source.source())
+        .digest('base64')}`;
+      return digest === source ? obj : { ...obj, [source]: digest };
+    }, {});
+    if (!Object.keys(replacements).length) {
+      return;
+    }
+
+    const replaceHashes = (str) =>
+      Object.keys(replacements).reduce(
+        (result, source) => result.split(source).join(replacements[source]),
+        str
+      );
+    const RawSource = getRawSource(compilation);
+    const entries = this.outputEntries.get(compilation) || {};
+    Object.keys(entries)
+      .filter((outputName) => compilation.getAsset(outputName))
+      .forEach((outputName) => {
+        compilation.updateAsset(
+          outputName,
+          (html) => new RawSource(replaceHashes(html.source().toString()))
+        );
+      });
+    this.outputEntries.set(
+      compilation,
+      JSON.parse(replaceHashes(JSON.stringify(entries)))
+    );
+    this.emitHeaderOutputs(compilation);
+    this.emitManifest(compilation);
   }
 
   /**
    * Hashes a string using the hashing method we have opted for and then base64 encodes the result
    * @param {string} str - the string to hash
+   * @param {string} [method] - the hashing method to use. Defaults to the first one opted for, or the first one for
+   *   script-src if they're set per directive
    * @returns {string} - the returned hash with the hashing method prepended e.g. sha256-123456abcdef
    */
-  hash(str) {
+  hash(str, method = getHashingMethods(this.hashingMethod, 'script-src')[0]) {
     const hashed = crypto
-      .createHash(this.opts.hashingMethod)
+      .createHash(method)
       .update(str, 'utf8')
       .digest('base64');
 
-    return `'${this.opts.hashingMethod}-${hashed}'`;
+    return `'${method}-${hashed}'`;
+  }
+
+  /**
+   * Hashes a string with every hashing method we have opted for in a directive
+   * @param {string} str - the string to hash
+   * @param {string} directive - the directive the hashes are added to, e.g. script-src-elem
+   * @returns {string[]} - a hash for each hashing method, e.g. ['sha256-123456abcdef', 'sha384-abcdef123456']
+   */
+  hashAll(str, directive) {
+    return uniq(
+      getHashingMethods(this.hashingMethod, directive).map((method) =>
+        this.hash(str, method)
+      )
+    );
   }
 
   /**
    * Calculates shas of the policy / selector we define
    * @param {object} $ - the Cheerio instance
-   * @param {string} policyName - one of 'script-src' and 'style-src'
+   * @param {string} directive - one of 'script-src-elem' and 'style-src-elem'
    * @param {string} selector - a Cheerio selector string for getting the hashable elements for this policy
-   * @return {string[]}
+   * @return {object[]} - a report of each hash, with the element it came from
    */
-  getShas($, policyName, selector) {
-    if (this.hashEnabled[policyName] === false) {
+  getShas($, directive, selector) {
+    if (getDirectiveSetting(this.hashEnabled, directive, true) === false) {
       // we don't want to add any nonce for this specific policy
       return [];
     }
 
     return $(selector)
-      .map((i, element) => this.hash($(element).html()))
+      .map((i, element) =>
+        this.hashAll($(element).html(), directive).map((source) => ({
+          source,
+          element: describeElement(element),
+        }))
+      )
+      .get();
+  }
+
+  /**
+   * Calculates shas of inline event handlers (for script-src) or style attributes (for style-src)
+   * These are added to the -attr directive, or to the policy itself alongside 'unsafe-hashes', depending on the
+   * attributeHashes option
+   * @param {object} $ - the Cheerio instance
+   * @param {string} policyName - one of 'script-src' and 'style-src'
+   * @return {object[]} - a report of each hash, with the directive it belongs in, and the attribute and element it came from
+   */
+  getAttributeShas($, policyName) {
+    const mode = this.attributeHashes[policyName];
+    if (
+      !['attr', 'unsafe-hashes'].includes(mode) ||
+      getDirectiveSetting(this.hashEnabled, `${policyName}-attr`, true) ===
+        false
+    ) {
+      return [];
+    }
+
+    // 'unsafe-hashes' goes in whichever directive governs the attributes in the enforced policy
+    const directive =
+      mode === 'attr'
+        ? `${policyName}-attr`
+        : getGoverningDirective(this.policy, `${policyName}-attr`) ||
+          policyName;
+    const isHashable =
+      policyName === 'script-src'
+        ? (attribute) => /^on[a-z]+$/i.test(attribute)
+        : (attribute) => attribute.toLowerCase() === 'style';
+
+    return $('*')
+      .map((i, element) =>
+        flatten(
+          Object.keys(element.attribs)
+            .filter(isHashable)
+            .map((attribute) =>
+              // browsers hash the value after html entities have been decoded
+              this.hashAll(
+                decodeAttribute(element.attribs[attribute]),
+                `${policyName}-attr`
+              ).map((source) => ({
+                directive,
+                source,
+                attribute,
+                element: describeElement(element),
+              }))
+            )
+        )
+      )
       .get();
   }
 
+  /**
+   * Finds the origins of the images, fonts, frames, media, manifests and form actions referenced in the html, for the
+   * hostAllowlist option. Relative urls are left for the policy's own sources to allow
+   * @param {object} $ - the Cheerio instance
+   * @return {object[]} - a report of each origin, with the directive it belongs in, the element it came from, and
+   *   whether it has been excluded
+   */
+  getHostAllowlistOrigins($) {
+    if (!this.hostAllowlist) {
+      return [];
+    }
+
+    return flatten(
+      Object.keys(hostAllowlistSelectors).map((directive) =>
+        flatten(
+          hostAllowlistSelectors[directive].map(([selector, attribute]) =>
+            $(`${selector}[${attribute}]`)
+              .map((i, element) => {
+                const value = $(element).attr(attribute);
+                // srcset is a list of urls, each followed by an optional descriptor
+                const urls =
+                  attribute === 'srcset'
+                    ? value
+                        .split(',')
+                        .map((candidate) => candidate.trim().split(/\s+/)[0])
+                    : [value];
+
+                return compact(urls.map(getOrigin)).map((source) => ({
+                  directive,
+                  source,
+                  element: describeElement(element),
+                  excluded: isOriginAllowed(this.hostAllowlist.exclude, source),
+                }));
+              })
+              .get()
+          )
+        )
+      )
+    );
+  }
+
+  /**
+   * Works out the sources the webpack build itself needs, which can't be found in the html, for the
+   * buildRequirements option
+   * @param {object} compilation - the webpack compilation object
+   * @return {object[]} - a report of each source, with the directive it belongs in, and why it's needed
+   */
+  // eslint-disable-next-line class-methods-use-this
+  getBuildRequirements(compilation) {
+    const requirements = getDevtoolRequirements(compilation);
+    const { publicPath } = compilation.outputOptions;
+    const publicPathOrigin =
+      typeof publicPath === 'string' ? getOrigin(publicPath) : null;
+
+    if (
+      Array.from(compilation.modules).some((module) =>
+        (module.type || '').startsWith('webassembly')
+      )
+    ) {
+      requirements.push({
+        directive: 'script-src',
+        source: "'wasm-unsafe-eval'",
+        reason: 'the build contains WebAssembly modules',
+      });
+    }
+
+    // new Worker(new URL(...)) adds an async entrypoint for each worker
+    if ((compilation.asyncEntrypoints || []).length) {
+      requirements.push({
+        directive: 'worker-src',
+        source: publicPathOrigin || "'self'",
+        reason: `the build contains web workers, loaded from ${
+          publicPathOrigin || 'this origin'
+        }`,
+      });
+    }
+
+    // async chunks are loaded by webpack's runtime, so don't get a nonce in the html
+    if (
+      publicPathOrigin &&
+      Array.from(compilation.chunks).some((chunk) => !chunk.canBeInitial())
+    ) {
+      requirements.push({
+        directive: 'script-src-elem',
+        source: publicPathOrigin,
+        reason: `async chunks are loaded from the publicPath ${publicPath}`,
+      });
+    }
+
+    return requirements;
+  }
+
+  /**
+   * Works out what development mode needs loosening for hot reloading to work. Only used when devMode is on
+   * @param {object} compilation - the webpack compilation object
+   * @return {object[]} - a report of each source, with the directive it belongs in, and why it's needed
+   */
+  getDevRequirements(compilation) {
+    const { devServer } = compilation.options;
+    return [
+      // buildRequirements already includes the devtool
+      ...(this.opts.buildRequirements
+        ? []
+        : getDevtoolRequirements(compilation)),
+      ...(devServer
+        ? [
+            {
+              directive: 'connect-src',
+              source: getDevServerSocketOrigin(devServer),
+              reason: 'webpack-dev-server connects to it for hot reloading',
+            },
+          ]
+        : []),
+      {
+        directive: 'style-src-elem',
+        source: "'unsafe-inline'",
+        reason:
+          "style-loader injects <style> elements, which can't be hashed at build time",
+      },
+    ];
+  }
+
   /**
    * Builds the CSP policy by flattening arrays into strings and appending all policies into a single string
+   * Any Trusted Types and reporting directives generated from the trustedTypes and reporting options are added here too
    * @param policyObj
    * @returns {string}
    */
-  // eslint-disable-next-line class-methods-use-this
   buildPolicy(policyObj) {
-    return Object.keys(policyObj)
+    const policy = {
+      ...policyObj,
+      ...this.getTrustedTypesDirectives(policyObj),
+      ...this.getReportingDirectives(),
+    };
+    return Object.keys(policy)
       .map((key) => {
-        const val = Array.isArray(policyObj[key])
-          ? compact(uniq(policyObj[key])).join(' ')
-          : policyObj[key];
+        const val = Array.isArray(policy[key])
+          ? compact(uniq(policy[key])).join(' ')
+          : policy[key];
 
         // move strict dynamic to the end of the policy if it exists to be backwards compatible with csp2
         // https://developer.mozilla.org/en-US/docs/Web/HTTP/Headers/Content-Security-Policy/script-src#strict-dynamic
@@ -306,46 +2996,538 @@ class CspHtmlWebpackPlugin {
       .join('; ');
   }
 
+  /**
+   * The options which apply to the html file being processed, once merged with the HtmlWebpackPlugin ones
+   * @return {object}
+   */
+  getEffectiveOptions() {
+    return {
+      hashingMethod: this.hashingMethod,
+      hashEnabled: this.hashEnabled,
+      nonceEnabled: this.nonceEnabled,
+      integrityEnabled: this.integrityEnabled,
+      attributeHashes: this.attributeHashes,
+      nonceMode: this.opts.nonceMode,
+      nonceScope: this.opts.nonceScope,
+      nonceByteLength: this.opts.nonceByteLength,
+      nonceEncoding: this.opts.nonceEncoding,
+      devMode: this.devMode,
+      lint: this.lint,
+      hostAllowlist: this.hostAllowlist,
+      trustedTypes: this.trustedTypes,
+      reporting: this.reporting,
+      scriptLoader: this.scriptLoader,
+    };
+  }
+
+  /**
+   * Builds the etag the output for an html file is cached under. It changes whenever the html, the effective options,
+   * the sources the build needs, or (with integrity hashes) the scripts and styles do
+   * @param {object} compilation - the webpack compilation object
+   * @param {object} htmlPluginData - the HtmlWebpackPlugin data object
+   * @param {object[]} buildRequirements - the sources the webpack build needs
+   * @param {object} cache - the webpack cache facade
+   * @return {string}
+   */
+  getCacheEtag(compilation, htmlPluginData, buildRequirements, cache) {
+    const integrityEnabled = [
+      'script-src-elem',
+      'style-src-elem',
+    ].some((directive) =>
+      getDirectiveSetting(this.integrityEnabled, directive, false)
+    );
+
+    // only scripts and styles are given integrity attributes, so only their contents matter
+    const assetEtags = integrityEnabled
+      ? Object.keys(compilation.assets)
+          .filter((name) => /\.(m?js|css)$/.test(name))
+          .sort()
+          .map(
+            (name) =>
+              `${name}:${cache.getLazyHashedEtag(compilation.assets[name])}`
+          )
+      : [];
+
+    return crypto
+      .createHash('sha256')
+      .update(
+        JSON.stringify({
+          html: htmlPluginData.html,
+          policy: this.policy,
+          reportOnlyPolicy: this.reportOnlyPolicy,
+          options: this.getEffectiveOptions(),
+          noncePlaceholder: this.opts.noncePlaceholder,
+          preserveHtml: this.opts.preserveHtml,
+          buildRequirements,
+          assetEtags,
+        })
+      )
+      .digest('base64');
+  }
+
+  /**
+   * Whether the output for the html file being processed can be cached
+   * A custom processFn could do anything with the html and headers, so it runs on every build. webpack 4 has no cache
+   * @param {object} compilation - the webpack compilation object
+   * @return {boolean}
+   */
+  isCacheable(compilation) {
+    return !!compilation.getCache && this.processFn === defaultProcessFn;
+  }
+
+  /**
+   * Swaps each nonce token in cacheable output for a fresh nonce, in the order the tokens were created
+   * @param {{html: string, entry: object}} output - the processed html, and the entry recorded for it
+   * @return {{html: string, entry: object}}
+   */
+  createOutputNonces({ html, entry }) {
+    const json = JSON.stringify(entry);
+    const tokens = uniq(`${html}${json}`.match(nonceTokenPattern) || []).sort(
+      (a, b) => Number(a.replace(/\D/g, '')) - Number(b.replace(/\D/g, ''))
+    );
+    const nonces = tokens.map(() => this.createNonce());
+    const replaceTokens = (str) =>
+      tokens.reduce(
+        (result, token, i) => result.split(token).join(nonces[i]),
+        str
+      );
+
+    return {
+      html: replaceTokens(html),
+      entry: JSON.parse(replaceTokens(json)),
+    };
+  }
+
   /**
    * Processes HtmlWebpackPlugin's html data adding the CSP defined
+   * Unchanged html files reuse the output cached by an earlier build, when webpack's cache is enabled. The cached output
+   * contains a token in place of each nonce, so every build still gets fresh nonces
    * @param htmlPluginData
    * @param compileCb
    */
   processCsp(compilation, htmlPluginData, compileCb) {
-    const $ = cheerio.load(htmlPluginData.html, {
-      decodeEntities: false,
-      _useHtmlParser2: true,
-      xmlMode: get(htmlPluginData, 'plugin.options.xhtml', false),
-    });
-
     // if not enabled, remove the empty tag
     if (!this.isEnabled(htmlPluginData)) {
       return compileCb(null, htmlPluginData);
     }
 
-    // get all nonces for script and style tags
-    const scriptNonce = this.setNonce($, 'script-src', 'script[src]');
-    const styleNonce = this.setNonce($, 'style-src', 'link[rel="stylesheet"]');
+    // get the sources needed by the webpack build
+    const buildRequirements = [
+      ...(this.opts.buildRequirements
+        ? this.getBuildRequirements(compilation)
+        : []),
+      ...(this.devMode ? this.getDevRequirements(compilation) : []),
+    ];
+
+    if (!this.isCacheable(compilation)) {
+      this.applyOutput(
+        compilation,
+        htmlPluginData,
+        this.generateOutput(compilation, htmlPluginData, buildRequirements)
+      );
+      return compileCb(null, htmlPluginData);
+    }
+
+    const cache = compilation.getCache('CspHtmlWebpackPlugin');
+    const etag = this.getCacheEtag(
+      compilation,
+      htmlPluginData,
+      buildRequirements,
+      cache
+    );
+    return cache.get(htmlPluginData.outputName, etag, (err, cached) => {
+      if (err) {
+        return compileCb(err);
+      }
+
+      if (cached) {
+        compilation.compiler
+          .getInfrastructureLogger('CspHtmlWebpackPlugin')
+          .log(
+            `${htmlPluginData.outputName}: unchanged, so the cached policy and html were reused`
+          );
+        this.applyOutput(compilation, htmlPluginData, cached);
+        return compileCb(null, htmlPluginData);
+      }
+
+      const output = this.generateOutput(
+        compilation,
+        htmlPluginData,
+        buildRequirements
+      );
+      return cache.store(
+        htmlPluginData.outputName,
+        etag,
+        output,
+        (storeErr) => {
+          this.applyOutput(compilation, htmlPluginData, output);
+          return compileCb(storeErr, htmlPluginData);
+        }
+      );
+    });
+  }
+
+  /**
+   * Adds the policy, hashes and nonces to the html
+   * @param {object} compilation - the webpack compilation object
+   * @param {object} htmlPluginData - the HtmlWebpackPlugin data object
+   * @param {object[]} buildRequirements - the sources the webpack build needs
+   * @return {{html: string, entry: object, integrity: object}} - the processed html, the entry recorded for it, and the
+   *   asset each of the integrity hashes in it was worked out from
+   */
+  generateOutput(compilation, htmlPluginData, buildRequirements) {
+    const xmlMode = get(htmlPluginData, 'plugin.options.xhtml', false);
+    const $ = this.opts.preserveHtml
+      ? loadPreservingHtml(htmlPluginData.html, xmlMode)
+      : cheerio.load(htmlPluginData.html, {
+          decodeEntities: false,
+          _useHtmlParser2: true,
+          xmlMode,
+        });
+
+    // with the script loader, the external scripts are loaded by an inline script instead, which is hashed below
+    const loadedScripts = this.scriptLoader ? this.setScriptLoader($) : [];
+
+    // get all integrity hashes and nonces for external script and style tags. With preserveHtml, the tags
+    // HtmlWebpackPlugin injected were given theirs by setAssetTagChecksums, so only the template's own are left
+    const assetTags =
+      this.assetTagChecksums &&
+      this.assetTagChecksums.outputName === htmlPluginData.outputName
+        ? this.assetTagChecksums
+        : null;
+    const templateChecksums = this.setExternalChecksums(
+      $,
+      compilation,
+      assetTags
+        ? assetTags.getNonce
+        : this.createNonceGetter(this.isCacheable(compilation)),
+      (element) =>
+        !assetTags ||
+        !assetTags.urls.includes(element.attribs.src || element.attribs.href)
+    );
+    const [scriptIntegrity, styleIntegrity, scriptNonce, styleNonce] = [
+      'scriptIntegrity',
+      'styleIntegrity',
+      'scriptNonce',
+      'styleNonce',
+    ].map((key) => [
+      ...(assetTags ? assetTags[key] : []),
+      ...templateChecksums[key],
+    ]);
 
     // get all shas for script and style tags
-    const scriptShas = this.getShas($, 'script-src', 'script:not([src])');
-    const styleShas = this.getShas($, 'style-src', 'style:not([href])');
-
-    const builtPolicy = this.buildPolicy({
-      ...this.policy,
-      'script-src': flatten([this.policy['script-src']]).concat(
-        scriptShas,
-        scriptNonce
-      ),
-      'style-src': flatten([this.policy['style-src']]).concat(
-        styleShas,
-        styleNonce
-      ),
+    const scriptShas = this.getShas($, 'script-src-elem', 'script:not([src])');
+    const styleShas = this.getShas($, 'style-src-elem', 'style:not([href])');
+
+    // get all shas for inline event handlers and style attributes
+    const scriptAttributeShas = this.getAttributeShas($, 'script-src');
+    const styleAttributeShas = this.getAttributeShas($, 'style-src');
+    const attributeShas = [...scriptAttributeShas, ...styleAttributeShas];
+    const logger = compilation.getLogger('CspHtmlWebpackPlugin');
+    attributeShas.forEach(({ directive, source, attribute, element }) => {
+      logger.log(
+        `${htmlPluginData.outputName}: added ${source} to ${directive} for the ${attribute} attribute of ${element}`
+      );
+    });
+
+    // get the origins of the other resources in the html, and report what's being allowed
+    const hostAllowlistOrigins = this.getHostAllowlistOrigins($);
+    hostAllowlistOrigins.forEach(({ directive, source, element, excluded }) => {
+      logger.info(
+        excluded
+          ? `${htmlPluginData.outputName}: excluded ${source} from ${directive} for ${element}`
+          : `${htmlPluginData.outputName}: allowed ${source} in ${directive} for ${element}`
+      );
+    });
+
+    // explain why each source needed by the webpack build has been added
+    buildRequirements.forEach(({ directive, source, reason }) => {
+      logger.info(
+        `${htmlPluginData.outputName}: allowed ${source} in ${directive}, as ${reason}`
+      );
+    });
+    loadedScripts.forEach((src) => {
+      logger.info(
+        `${htmlPluginData.outputName}: ${src} will be loaded by the script loader`
+      );
+    });
+
+    // both the enforced and report-only policies allow the same hashes and nonces, but each policy can have a
+    // different directive governing the elements. Exact checksums are always added to the directive given
+    // browsers only match hashes against attributes when 'unsafe-hashes' is present, even in the -attr directives
+    const toAttributeChecksums = (policyName, shas) => {
+      const sources = shas.map(({ source }) => source);
+      return {
+        directive: `${policyName}-attr`,
+        exact: this.attributeHashes[policyName] === 'attr',
+        sources: sources.length ? ["'unsafe-hashes'", ...sources] : [],
+      };
+    };
+    const checksums = [
+      {
+        directive: 'script-src-elem',
+        sources: scriptShas
+          .concat(scriptIntegrity, scriptNonce)
+          .map(({ source }) => source),
+      },
+      {
+        directive: 'style-src-elem',
+        sources: styleShas
+          .concat(styleIntegrity, styleNonce)
+          .map(({ source }) => source),
+      },
+      // 'strict-dynamic' lets the hashed loader add the scripts it loads
+      {
+        directive: 'script-src-elem',
+        sources: loadedScripts.length ? ["'strict-dynamic'"] : [],
+      },
+      toAttributeChecksums('script-src', scriptAttributeShas),
+      toAttributeChecksums('style-src', styleAttributeShas),
+      // hosts are added to their own directive, copying the one it falls back to, so the fallback isn't widened for
+      // every other kind of resource
+      ...Object.keys(hostAllowlistSelectors).map((directive) => ({
+        directive,
+        inherit: true,
+        sources: uniq(
+          hostAllowlistOrigins
+            .filter((origin) => origin.directive === directive)
+            .filter(({ excluded }) => !excluded)
+            .map(({ source }) => source)
+        ),
+      })),
+      ...buildRequirements.map(({ directive, source }) => ({
+        directive,
+        // workers and websockets only need their own directive, rather than widening the one they fall back to
+        inherit: ['worker-src', 'connect-src'].includes(directive),
+        sources: [source],
+      })),
+    ];
+    const buildWithChecksums = (policy) => {
+      const policyWithChecksums = { ...policy };
+      checksums.forEach(({ directive, exact, inherit, sources }) => {
+        const key = exact
+          ? directive
+          : getGoverningDirective(policy, directive);
+
+        // if nothing in the policy governs these elements, they're already allowed
+        if (!key) {
+          return;
+        }
+
+        // new directives copy the fallback as the user defined it, without the hashes and nonces added to it
+        const existing = flatten([
+          inherit && key !== directive ? policy[key] : policyWithChecksums[key],
+        ]);
+        const existingSources = compact(existing.join(' ').split(/\s+/));
+        const newSources = sources.filter(
+          (source) => !isSourceAllowed(existingSources, source)
+        );
+        if (newSources.length) {
+          policyWithChecksums[inherit ? directive : key] = existing.concat(
+            newSources
+          );
+        }
+      });
+      return this.buildPolicy(policyWithChecksums);
+    };
+
+    const builtPolicy = buildWithChecksums(this.policy);
+
+    // the headers this html file should be served with
+    const headers = { 'Content-Security-Policy': builtPolicy };
+    const reportingEndpoints = this.buildReportingEndpoints();
+    if (reportingEndpoints) {
+      headers['Reporting-Endpoints'] = reportingEndpoints;
+    }
+    if (this.reportOnlyPolicy) {
+      headers['Content-Security-Policy-Report-Only'] = buildWithChecksums(
+        this.reportOnlyPolicy
+      );
+    }
+
+    // label the html, so a development policy is never mistaken for the production one
+    if (this.devMode) {
+      $('head').prepend(
+        '<!-- development Content-Security-Policy, loosened for hot reloading. Do not deploy -->'
+      );
+    }
+
+    this.processFn(
+      builtPolicy,
+      htmlPluginData,
+      $,
+      compilation,
+      headers,
+      splitHeaderOnlyDirectives(builtPolicy)
+    );
+
+    // the entries record the directive each checksum was added to in the enforced policy, and the element it's for
+    const toEntries = (directive) => ({ source, element }) => ({
+      directive: getGoverningDirective(this.policy, directive) || directive,
+      source,
+      element,
+    });
+    const integrityAssets = this.integrityAssets.get(compilation) || {};
+    return {
+      html: htmlPluginData.html,
+      integrity: Object.keys(integrityAssets)
+        .filter((source) => htmlPluginData.html.includes(source))
+        .reduce(
+          (obj, source) => ({ ...obj, [source]: integrityAssets[source] }),
+          {}
+        ),
+      entry: {
+        routes: getRoutes(htmlPluginData.outputName),
+        headers,
+        policy: this.policy,
+        reportOnlyPolicy: this.reportOnlyPolicy,
+        builtPolicy,
+        hashes: [
+          ...scriptShas
+            .concat(scriptIntegrity)
+            .map(toEntries('script-src-elem')),
+          ...styleShas.concat(styleIntegrity).map(toEntries('style-src-elem')),
+          ...attributeShas,
+        ],
+        nonces: [
+          ...scriptNonce.map(toEntries('script-src-elem')),
+          ...styleNonce.map(toEntries('style-src-elem')),
+        ],
+        noncePlaceholder:
+          this.opts.nonceMode === 'placeholder'
+            ? this.opts.noncePlaceholder
+            : null,
+        options: this.getEffectiveOptions(),
+      },
+    };
+  }
+
+  /**
+   * Creates the nonces, writes the processed html into HtmlWebpackPlugin's data, reports any problems with the policy,
+   * and records the entry for the html file. This runs on every build, even when the output came from the cache
+   * @param {object} compilation - the webpack compilation object
+   * @param {object} htmlPluginData - the HtmlWebpackPlugin data object
+   * @param {{html: string, entry: object, integrity: object}} output - the processed html, the entry recorded for it,
+   *   and the asset each of the integrity hashes in it was worked out from
+   */
+  applyOutput(compilation, htmlPluginData, output) {
+    const { html, entry } = this.createOutputNonces(output);
+    Object.keys(output.integrity).forEach((source) => {
+      this.recordIntegrityAsset(compilation, source, output.integrity[source]);
+    });
+
+    // eslint-disable-next-line no-param-reassign
+    htmlPluginData.html = html;
+
+    // a report-only policy can't be delivered in a meta tag, so make sure it's going somewhere
+    if (this.reportOnlyPolicy && this.isMetaTagOnly()) {
+      compilation.warnings.push(
+        new Error(
+          `CSP: a report-only policy was defined for ${htmlPluginData.outputName}, but it can only be delivered as a header. Use the headerOutput, manifest or processFn options to output it`
+        )
+      );
+    }
+
+    this.lintPolicy(compilation, htmlPluginData, entry.builtPolicy);
+    this.scanTrustedTypesPolicies(compilation);
+
+    this.recordOutputEntry(compilation, htmlPluginData, entry);
+    this.emitHeaderOutputs(compilation);
+    this.emitManifest(compilation);
+  }
+
+  /**
+   * Records the output for the html file being processed, so that the files covering all html files can be generated
+   * @param {object} compilation - the webpack compilation object
+   * @param {object} htmlPluginData - the HtmlWebpackPlugin data object
+   * @param {object} entry - the routes, headers, policies, hashes, nonces and options for this html file
+   */
+  recordOutputEntry(compilation, htmlPluginData, entry) {
+    if (!this.outputEntries.has(compilation)) {
+      this.outputEntries.set(compilation, {});
+    }
+    this.outputEntries.get(compilation)[htmlPluginData.outputName] = entry;
+  }
+
+  /**
+   * (Re)generates every header config file requested
+   * Each file covers all html files processed so far in this compilation
+   * @param {object} compilation - the webpack compilation object
+   */
+  emitHeaderOutputs(compilation) {
+    const entries = Object.values(this.outputEntries.get(compilation) || {});
+    this.headerOutputs.forEach(({ format, filename }) => {
+      emitOrUpdateAsset(
+        compilation,
+        filename,
+        headerOutputFormats[format].format(entries)
+      );
     });
+  }
+
+  /**
+   * (Re)generates the manifest of the headers, policies, hashes, nonces and options for every html file processed so far
+   * in this compilation. This is read by middleware.js to serve the policy as a header
+   * @param {object} compilation - the webpack compilation object
+   */
+  emitManifest(compilation) {
+    if (!this.opts.manifest) {
+      return;
+    }
+
+    const filename =
+      typeof this.opts.manifest === 'string'
+        ? this.opts.manifest
+        : 'csp-manifest.json';
+    emitOrUpdateAsset(
+      compilation,
+      filename,
+      JSON.stringify(this.outputEntries.get(compilation) || {}, null, 2)
+    );
+  }
+
+  /**
+   * Sets __webpack_nonce__ when the webpack runtime starts, so the chunks it loads and the styles injected by loaders
+   * such as style-loader get the same nonce as the script which loaded it
+   * @param {object} compilation - the webpack compilation object
+   */
+  // eslint-disable-next-line class-methods-use-this
+  addWebpackNonceRuntime(compilation) {
+    const webpack = get(compilation, 'compiler.webpack');
 
-    this.processFn(builtPolicy, htmlPluginData, $, compilation);
+    // webpack 4 doesn't have runtime modules, so add it to the bootstrap instead
+    if (!webpack) {
+      compilation.mainTemplate.hooks.requireExtensions.tap(
+        'CspHtmlWebpackPlugin',
+        (source) =>
+          [source, ...createWebpackNonceRuntime('__webpack_require__.nc')].join(
+            '\n'
+          )
+      );
+      return;
+    }
+
+    const { RuntimeModule, RuntimeGlobals, Template } = webpack;
+    const code = Template.asString(
+      createWebpackNonceRuntime(RuntimeGlobals.scriptNonce)
+    );
 
-    return compileCb(null, htmlPluginData);
+    compilation.hooks.additionalTreeRuntimeRequirements.tap(
+      'CspHtmlWebpackPlugin',
+      (chunk) => {
+        // each runtime chunk gets its own instance of the module. It runs after webpack's own nonce module, which
+        // clears __webpack_nonce__ when the bundle reads it
+        compilation.addRuntimeModule(
+          chunk,
+          Object.assign(
+            new RuntimeModule('csp nonce', RuntimeModule.STAGE_TRIGGER),
+            {
+              generate: () => code,
+            }
+          )
+        );
+      }
+    );
   }
 
   /**
@@ -356,14 +3538,37 @@ class CspHtmlWebpackPlugin {
     compiler.hooks.compilation.tap('CspHtmlWebpackPlugin', (compilation) => {
       HtmlWebpackPlugin.getHooks(compilation).beforeAssetTagGeneration.tapAsync(
         'CspHtmlWebpackPlugin',
-        this.mergeOptions.bind(this, compilation)
+        this.resolveOptions.bind(this, compilation)
+      );
+      HtmlWebpackPlugin.getHooks(compilation).alterAssetTagGroups.tapAsync(
+        'CspHtmlWebpackPlugin',
+        this.setAssetTagChecksums.bind(this, compilation)
       );
       HtmlWebpackPlugin.getHooks(compilation).beforeEmit.tapAsync(
         'CspHtmlWebpackPlugin',
         this.processCsp.bind(this, compilation)
       );
+
+      // real content hashing rewrites the scripts and styles after HtmlWebpackPlugin has emitted the html
+      const optimizeHashStage = get(
+        compiler,
+        'webpack.Compilation.PROCESS_ASSETS_STAGE_OPTIMIZE_HASH'
+      );
+      if (optimizeHashStage !== undefined) {
+        compilation.hooks.processAssets.tap(
+          { name: 'CspHtmlWebpackPlugin', stage: optimizeHashStage + 1 },
+          () => this.updateIntegrity(compilation)
+        );
+      }
+
+      if (this.opts.webpackNonce) {
+        this.addWebpackNonceRuntime(compilation);
+      }
     });
   }
 }
 
+// the named policies available to the preset option, so they can be extended
+CspHtmlWebpackPlugin.presets = presets;
+
 module.exports = CspHtmlWebpackPlugin;
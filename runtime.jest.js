@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const {
+  DEFAULT_NONCE_PLACEHOLDER,
+  createNonce,
+  replaceNonce,
+  applyNonce,
+} = require('./runtime');
+
+describe('runtime', () => {
+  describe('createNonce', () => {
+    it('creates a base64 encoded nonce from 16 random bytes by default', () => {
+      const nonce = createNonce();
+      expect(Buffer.from(nonce, 'base64').length).toEqual(16);
+    });
+
+    it('creates a different nonce each time', () => {
+      expect(createNonce()).not.toEqual(createNonce());
+    });
+
+    it('allows the number of random bytes to be configured', () => {
+      jest.spyOn(crypto, 'randomBytes');
+      createNonce(32);
+      expect(crypto.randomBytes).toHaveBeenCalledWith(32);
+      crypto.randomBytes.mockRestore();
+    });
+
+    it('allows the nonce to be hex or base64url encoded', () => {
+      jest
+        .spyOn(crypto, 'randomBytes')
+        .mockImplementation((size) => Buffer.alloc(size, 0xfb));
+      expect(createNonce(16, 'hex')).toEqual('fb'.repeat(16));
+      expect(createNonce(16, 'base64url')).toEqual('-_v7-_v7-_v7-_v7-_v7-w');
+      crypto.randomBytes.mockRestore();
+    });
+  });
+
+  describe('replaceNonce', () => {
+    it('replaces every occurrence of the default placeholder', () => {
+      expect(
+        replaceNonce(
+          `<script nonce="${DEFAULT_NONCE_PLACEHOLDER}"></script><link nonce="${DEFAULT_NONCE_PLACEHOLDER}">`,
+          'abc123'
+        )
+      ).toEqual('<script nonce="abc123"></script><link nonce="abc123">');
+    });
+
+    it('replaces a custom placeholder', () => {
+      expect(
+        replaceNonce(
+          "script-src 'nonce-__CSP_NONCE__'",
+          'abc123',
+          '__CSP_NONCE__'
+        )
+      ).toEqual("script-src 'nonce-abc123'");
+    });
+  });
+
+  describe('applyNonce', () => {
+    it('swaps the placeholder for the same fresh nonce in the html and headers', () => {
+      const { nonce, html, headers } = applyNonce({
+        html: '<script nonce="{{CSP_NONCE}}" src="index.js"></script>',
+        headers: {
+          'Content-Security-Policy': "script-src 'nonce-{{CSP_NONCE}}'",
+          'Content-Security-Policy-Report-Only':
+            "script-src 'nonce-{{CSP_NONCE}}' 'strict-dynamic'",
+        },
+      });
+
+      expect(nonce).toMatch(/^[A-Za-z0-9+/]+=*$/);
+      expect(html).toEqual(`<script nonce="${nonce}" src="index.js"></script>`);
+      expect(headers).toEqual({
+        'Content-Security-Policy': `script-src 'nonce-${nonce}'`,
+        'Content-Security-Policy-Report-Only': `script-src 'nonce-${nonce}' 'strict-dynamic'`,
+      });
+    });
+
+    it('uses the nonce and placeholder passed in', () => {
+      expect(
+        applyNonce(
+          {
+            html: '<style nonce="__CSP_NONCE__"></style>',
+          },
+          {
+            nonce: 'abc123',
+            placeholder: '__CSP_NONCE__',
+          }
+        )
+      ).toEqual({
+        nonce: 'abc123',
+        html: '<style nonce="abc123"></style>',
+        headers: {},
+      });
+    });
+  });
+});
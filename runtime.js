@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+/**
+ * The token written into nonce attributes and the policy when the plugin's nonceMode is 'placeholder'
+ * @type {string}
+ */
+const DEFAULT_NONCE_PLACEHOLDER = '{{CSP_NONCE}}';
+
+/**
+ * The encodings a nonce can be created in, all of which only use characters allowed in a policy
+ * @type {string[]}
+ */
+const NONCE_ENCODINGS = ['base64', 'base64url', 'hex'];
+
+/**
+ * Create a random nonce, which should be generated afresh for every request
+ * @param {number} byteLength - the number of random bytes in the nonce
+ * @param {string} encoding - one of NONCE_ENCODINGS
+ * @return {string}
+ */
+const createNonce = (byteLength = 16, encoding = 'base64') => {
+  const bytes = crypto.randomBytes(byteLength);
+  if (encoding === 'base64url') {
+    // Buffer only supports base64url itself from node 15.7
+    return bytes
+      .toString('base64')
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+  }
+  return bytes.toString(encoding);
+};
+
+/**
+ * Replaces every occurrence of the nonce placeholder in a string with the nonce
+ * @param {string} str - the html or policy containing the placeholder
+ * @param {string} nonce - the nonce for this request
+ * @param {string} placeholder - the placeholder the plugin was configured with
+ * @return {string}
+ */
+const replaceNonce = (str, nonce, placeholder = DEFAULT_NONCE_PLACEHOLDER) =>
+  str.split(placeholder).join(nonce);
+
+/**
+ * Swaps the nonce placeholder for a fresh nonce in both the html and the headers it should be served with
+ * @param {object} response
+ * @param {string} response.html - the html file generated by the plugin
+ * @param {object} response.headers - a <string, string> map of header names to values, e.g. the Content-Security-Policy
+ * @param {object} opts
+ * @param {string} opts.nonce - the nonce to use, a new one will be created if not set
+ * @param {string} opts.placeholder - the placeholder the plugin was configured with
+ * @return {{nonce: string, html: string, headers: object}}
+ */
+const applyNonce = (
+  { html = '', headers = {} },
+  { nonce = createNonce(), placeholder = DEFAULT_NONCE_PLACEHOLDER } = {}
+) => ({
+  nonce,
+  html: replaceNonce(html, nonce, placeholder),
+  headers: Object.keys(headers).reduce(
+    (obj, name) => ({
+      ...obj,
+      [name]: replaceNonce(headers[name], nonce, placeholder),
+    }),
+    {}
+  ),
+});
+
+module.exports = {
+  DEFAULT_NONCE_PLACEHOLDER,
+  NONCE_ENCODINGS,
+  createNonce,
+  replaceNonce,
+  applyNonce,
+};
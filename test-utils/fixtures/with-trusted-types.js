@@ -0,0 +1,12 @@
+const { trustedTypes } = document.defaultView;
+
+const escapePolicy = trustedTypes.createPolicy('escape', {
+  createHTML: (html) => html.replace(/</g, '&lt;'),
+});
+trustedTypes.createPolicy('analytics', {
+  createScriptURL: (url) => url,
+});
+
+document.body.innerHTML = escapePolicy.createHTML(
+  '<p>with-trusted-types.js</p>'
+);
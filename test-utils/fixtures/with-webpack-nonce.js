@@ -0,0 +1,9 @@
+/* global __webpack_nonce__ */
+/* eslint-disable camelcase */
+
+// style-loader reads the nonce like this, for the style elements it adds
+document.body.innerHTML += `<p>${__webpack_nonce__}</p>`;
+
+require.ensure([], () => {
+  require('./async'); // eslint-disable-line global-require
+});
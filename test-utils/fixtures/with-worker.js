@@ -0,0 +1,3 @@
+const worker = new Worker(new URL('./worker.js', import.meta.url));
+
+worker.postMessage('with-worker.js');
@@ -0,0 +1,3 @@
+onmessage = (message) => {
+  postMessage(message.data);
+};